@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Compare QR localization (finder patterns + region decode) with the previous brute-force scan
+ *
+ * Usage:
+ *   npm run benchmark:qr -- [--dir test/fixtures/qr] [--runs 3]
+ *
+ * Each approach runs on each fixture in a fresh child process, so peak RSS is per run.
+ * The baseline reproduces the old pipeline: PDFs rendered at 4x/3x/2x to temporary PNGs and
+ * 10 preprocessing strategies that each re-read the image from disk.
+ * PDF fixtures need the canvas native module; they are skipped when it can't be loaded.
+ */
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const { parseArgs } = require('util');
+
+const USAGE = 'Usage: npm run benchmark:qr -- [--dir <fixtures>] [--runs <n>]';
+const APPROACHES = ['baseline', 'roi'];
+const FIXTURE_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.bmp'];
+
+// Strategies of the old scanQRCode, in order
+const BASELINE_STRATEGIES = [
+  ['original', () => {}],
+  ['greyscale', (img) => img.greyscale()],
+  ['normalize', (img) => img.greyscale().normalize().contrast(0.8)],
+  ['contrast-normalize', (img) => img.greyscale().contrast(0.9).normalize()],
+  ['posterize-2', (img) => img.greyscale().posterize(2).normalize()],
+  ['posterize-3', (img) => img.greyscale().normalize().posterize(3)],
+  ['invert', (img) => img.greyscale().invert().normalize().contrast(0.7)],
+  ['bright', (img) => img.greyscale().brightness(0.4).normalize()],
+  ['blur', (img) => img.greyscale().blur(1).normalize().contrast(0.9)],
+  ['extreme-normalize', (img) => img.greyscale().normalize().contrast(1.0)]
+];
+
+/**
+ * Old image scan: every strategy decodes the file again
+ */
+async function baselineScanImage(fileController, filePath, attempts) {
+  const Jimp = require('jimp');
+
+  for (const [name, processFn] of BASELINE_STRATEGIES) {
+    attempts.push(name);
+    const image = await Jimp.read(filePath);
+    processFn(image);
+    const code = fileController.tryQRScan(image);
+    if (code) return code;
+  }
+
+  return null;
+}
+
+/**
+ * Old PDF scan: each page at 4x, 3x and 2x through a temporary PNG
+ */
+async function baselineScanPDF(fileController, filePath, attempts) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const { createCanvas } = require('canvas');
+
+  const pdfDocument = await pdfjsLib.getDocument({ data: new Uint8Array(fs.readFileSync(filePath)) }).promise;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber);
+
+      for (const scale of [4.0, 3.0, 2.0]) {
+        const viewport = page.getViewport({ scale });
+        const canvas = createCanvas(viewport.width, viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        const tempImagePath = path.join(path.dirname(filePath), `.benchmark_p${pageNumber}_${scale}.png`);
+        fs.writeFileSync(tempImagePath, canvas.toBuffer('image/png'));
+
+        try {
+          const pageAttempts = [];
+          const code = await baselineScanImage(fileController, tempImagePath, pageAttempts);
+          attempts.push(...pageAttempts.map(name => `p${pageNumber}@${scale}x:${name}`));
+          if (code) return code;
+        } finally {
+          fs.unlinkSync(tempImagePath);
+        }
+      }
+
+      page.cleanup();
+    }
+  } finally {
+    await pdfDocument.destroy();
+  }
+
+  return null;
+}
+
+/**
+ * Current pipeline: FileController.scanPDFPage / scanQRCode
+ */
+async function roiScan(fileController, filePath, attempts) {
+  if (path.extname(filePath).toLowerCase() !== '.pdf') {
+    return await fileController.scanQRCode(filePath, attempts);
+  }
+
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const pdfDocument = await pdfjsLib.getDocument({ data: new Uint8Array(fs.readFileSync(filePath)) }).promise;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber);
+      const code = await fileController.scanPDFPage(page, pageNumber, attempts);
+      page.cleanup();
+      if (code) return code;
+    }
+  } finally {
+    await pdfDocument.destroy();
+  }
+
+  return null;
+}
+
+/**
+ * Child process: run one approach on one file and report timing and peak memory
+ */
+async function runChild(approach, filePath) {
+  const fileController = require('../controllers/fileController');
+  const isPDF = path.extname(filePath).toLowerCase() === '.pdf';
+
+  if (isPDF) {
+    try {
+      require('canvas');
+    } catch (error) {
+      process.send({ skipped: 'canvas not available' });
+      return;
+    }
+  }
+
+  const attempts = [];
+  const startRss = process.memoryUsage().rss;
+  const start = process.hrtime.bigint();
+
+  let code;
+  if (approach === 'roi') {
+    code = await roiScan(fileController, filePath, attempts);
+  } else {
+    code = isPDF
+      ? await baselineScanPDF(fileController, filePath, attempts)
+      : await baselineScanImage(fileController, filePath, attempts);
+  }
+
+  process.send({
+    found: Boolean(code),
+    ms: Number(process.hrtime.bigint() - start) / 1e6,
+    startRssMB: startRss / 1024 / 1024,
+    peakRssMB: process.resourceUsage().maxRSS / 1024,
+    strategies: attempts.length
+  });
+}
+
+function runInChild(approach, filePath) {
+  return new Promise((resolve, reject) => {
+    const child = fork(__filename, ['--child', approach, filePath], { silent: true });
+    let result = null;
+
+    child.on('message', message => { result = message; });
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (result) resolve(result);
+      else reject(new Error(`${approach} on ${path.basename(filePath)} exited with code ${code}`));
+    });
+  });
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+  if (process.argv[2] === '--child') {
+    await runChild(process.argv[3], process.argv[4]);
+    return;
+  }
+
+  const { values } = parseArgs({
+    options: {
+      dir: { type: 'string', default: path.join('test', 'fixtures', 'qr') },
+      runs: { type: 'string', default: '1' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const runs = Math.max(1, parseInt(values.runs, 10) || 1);
+  const files = fs.readdirSync(values.dir)
+    .filter(name => FIXTURE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  if (files.length === 0) {
+    throw new Error(`No fixtures in ${values.dir}`);
+  }
+
+  console.log(`⏱️  QR benchmark: ${files.length} fixture(s) × ${APPROACHES.length} approaches × ${runs} run(s)\n`);
+
+  const rows = [];
+  const totals = Object.fromEntries(APPROACHES.map(approach => [approach, { ms: 0, peakRssMB: 0, found: 0, measured: 0 }]));
+
+  for (const file of files) {
+    for (const approach of APPROACHES) {
+      const results = [];
+      for (let run = 0; run < runs; run++) {
+        results.push(await runInChild(approach, path.join(values.dir, file)));
+      }
+
+      if (results[0].skipped) {
+        rows.push({ fixture: file, approach, found: '-', ms: '-', peakRssMB: '-', strategies: `skipped (${results[0].skipped})` });
+        continue;
+      }
+
+      const ms = median(results.map(result => result.ms));
+      const peakRssMB = Math.max(...results.map(result => result.peakRssMB));
+
+      totals[approach].ms += ms;
+      totals[approach].peakRssMB = Math.max(totals[approach].peakRssMB, peakRssMB);
+      totals[approach].found += results[0].found ? 1 : 0;
+      totals[approach].measured++;
+
+      rows.push({
+        fixture: file,
+        approach,
+        found: results[0].found ? 'yes' : 'no',
+        ms: Math.round(ms),
+        peakRssMB: Math.round(peakRssMB),
+        strategies: results[0].strategies
+      });
+    }
+  }
+
+  console.table(rows);
+
+  for (const approach of APPROACHES) {
+    const total = totals[approach];
+    console.log(`${approach.padEnd(8)} total ${Math.round(total.ms)} ms | max peak RSS ${Math.round(total.peakRssMB)} MB | found ${total.found}/${total.measured}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Benchmark failed: ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
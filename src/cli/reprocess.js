@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Start a board-wide (or group-wide) reprocess on a running server
+ *
+ * Usage:
+ *   npm run reprocess -- --board 1443407769 [--group topics] [--status Feito|any]
+ *                        [--from 2025-01-01] [--to 2025-03-31] [--missing totalValue] [--dry-run]
+ *
+ * Talks to POST /api/reprocess so items go through the server's queue.
+ * Server URL: --url, REPROCESS_URL or http://localhost:$PORT. API key: ADMIN_API_KEY.
+ */
+require('dotenv').config();
+const { parseArgs } = require('util');
+const axios = require('axios');
+
+const USAGE = 'Usage: npm run reprocess -- --board <id> [--group <id>] [--status <label|any>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--missing <field|column>] [--dry-run] [--url <server>]';
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      board: { type: 'string' },
+      group: { type: 'string' },
+      status: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      missing: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      url: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    throw new Error('ADMIN_API_KEY is not set');
+  }
+
+  const baseUrl = values.url || process.env.REPROCESS_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+  const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/api/reprocess`, {
+    boardId: values.board,
+    groupId: values.group,
+    status: values.status,
+    dateFrom: values.from,
+    dateTo: values.to,
+    missingColumn: values.missing,
+    dryRun: values['dry-run']
+  }, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` },
+    timeout: 5 * 60 * 1000
+  });
+
+  const result = response.data;
+
+  if (result.dryRun) {
+    console.log(`🔎 Dry run: ${result.matched} item(s) on board ${result.boardId} would be processed`);
+    result.items.forEach(item => console.log(`   ${item.id}  ${item.name}${item.groupId ? `  [${item.groupId}]` : ''}`));
+  } else {
+    console.log(`✅ Board ${result.boardId}: ${result.matched} matched | ${result.queued} queued | ${result.alreadyQueued} already queued`);
+  }
+}
+
+main().catch(error => {
+  const message = error.response ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+  console.error(`❌ Reprocess failed: ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Per-board Monday.com mapping: trigger columns, file column and extracted field → column
+ *
+ * Loaded from (first match wins):
+ *   1. BOARD_CONFIG_PATH - JSON or YAML file
+ *   2. BOARD_CONFIG - inline JSON
+ *   3. Built-in defaults, overridable with MONDAY_* environment variables
+ *
+ * File format:
+ *   {
+ *     "defaultBoardId": "1443407769",
+ *     "defaults": { "triggerColumns": [...], "fileColumn": "arquivos", "columns": { "totalValue": "numeric_x" } },
+ *     "boards": { "1234567890": { "fileColumn": "files", "columns": { ... } } }
+ *   }
+ * Boards not listed under "boards" use "defaults". Board entries replace top-level keys of "defaults".
+ * Optional keys: extractionStatusColumn + extractionStatusLabels (extraction status write-back),
+ * postUpdates (post an item update explaining failures), duplicateOfColumn (link/connect/text column
+ * pointing duplicates at the original item), supplierColumn (connect-boards column linked to the
+ * supplier's item on a Suppliers board, taken from the supplier registry).
+ *
+ * "documentTypes" routes document types to their own columns, keyed by type code (NC, RC, ...) or
+ * category (credit-note, receipt, ...); the code wins over the category:
+ *   "documentTypes": {
+ *     "NC": { "columns": { "totalValue": "numeric_credit", "invoiceNumber": null }, "values": { "status_kind": "Credit note" } }
+ *   }
+ * "columns" overrides the board mapping for that type (null unmaps a field), "values" writes fixed labels.
+ */
+
+// Extracted field → kind of value it holds
+const FIELD_TYPES = {
+  totalValue: 'number',
+  taxableBase: 'number',
+  vatTotal: 'number',
+  totalTaxes: 'number',
+  nonTaxableBase: 'number',
+  stampDuty: 'number',
+  withholdingTax: 'number',
+  confidence: 'number',
+  invoiceNumber: 'text',
+  supplierName: 'text',
+  customerNIF: 'text',
+  issuerNIF: 'text',
+  buyerNIF: 'text',
+  atcud: 'text',
+  documentType: 'text',
+  documentCategory: 'text',
+  currency: 'text',
+  invoiceDate: 'date'
+};
+
+// Monday column types that can hold each kind of value
+const COMPATIBLE_COLUMN_TYPES = {
+  number: ['numbers', 'text', 'long_text'],
+  text: ['text', 'long_text', 'status', 'dropdown'],
+  date: ['date', 'text'],
+  trigger: ['button', 'status', 'color'],
+  status: ['status', 'color'],
+  itemLink: ['link', 'board_relation', 'text', 'long_text'],
+  boardRelation: ['board_relation'],
+  file: ['file']
+};
+
+// Environment variable → field, used when no config file is given
+const ENV_COLUMNS = {
+  MONDAY_COLUMN_TOTAL_VALUE: 'totalValue',
+  MONDAY_COLUMN_TAXABLE_BASE: 'taxableBase',
+  MONDAY_COLUMN_VAT_TOTAL: 'vatTotal',
+  MONDAY_COLUMN_STAMP_DUTY: 'stampDuty',
+  MONDAY_COLUMN_WITHHOLDING_TAX: 'withholdingTax',
+  MONDAY_COLUMN_INVOICE_NUMBER: 'invoiceNumber',
+  MONDAY_COLUMN_INVOICE_DATE: 'invoiceDate',
+  MONDAY_COLUMN_SUPPLIER_NAME: 'supplierName',
+  MONDAY_COLUMN_CUSTOMER_NIF: 'customerNIF',
+  MONDAY_COLUMN_ISSUER_NIF: 'issuerNIF',
+  MONDAY_COLUMN_ATCUD: 'atcud',
+  MONDAY_COLUMN_DOCUMENT_TYPE: 'documentType',
+  MONDAY_COLUMN_DOCUMENT_CATEGORY: 'documentCategory',
+  MONDAY_COLUMN_CONFIDENCE: 'confidence'
+};
+
+const DEFAULT_CONFIG = {
+  defaultBoardId: '1443407769',
+  defaults: {
+    triggerColumns: ['button_mkwbdw8s', 'color_mkwb6j7j'],
+    fileColumn: 'arquivos',
+    statusColumn: 'color_mkwb6j7j',
+    statusDoneLabel: 'Feito',
+    extractionStatusColumn: null,
+    extractionStatusLabels: {
+      processing: 'Processing',
+      done: 'Done',
+      qrNotFound: 'QR not found',
+      error: 'Error',
+      duplicate: 'Duplicate'
+    },
+    duplicateOfColumn: null,
+    supplierColumn: null,
+    postUpdates: true,
+    documentTypes: {},
+    columns: {
+      totalValue: 'numeric_mkwbrpmz',
+      invoiceNumber: 'text_mkwb4nns',
+      supplierName: 'text_mkwbcyg3',
+      customerNIF: 'text_mkwbb9'
+    }
+  },
+  boards: {}
+};
+
+class BoardConfig {
+  constructor() {
+    this.fieldTypes = FIELD_TYPES;
+    this.config = this.load();
+  }
+
+  /**
+   * Load configuration from file, inline JSON or environment variables
+   */
+  load() {
+    let config;
+
+    if (process.env.BOARD_CONFIG_PATH) {
+      config = this.readFile(process.env.BOARD_CONFIG_PATH);
+    } else if (process.env.BOARD_CONFIG) {
+      config = JSON.parse(process.env.BOARD_CONFIG);
+    } else {
+      config = this.fromEnv();
+    }
+
+    const normalized = {
+      defaultBoardId: String(config.defaultBoardId || DEFAULT_CONFIG.defaultBoardId),
+      defaults: { ...DEFAULT_CONFIG.defaults, ...(config.defaults || {}) },
+      boards: {}
+    };
+
+    for (const [boardId, boardConfig] of Object.entries(config.boards || {})) {
+      normalized.boards[String(boardId)] = boardConfig || {};
+    }
+
+    this.checkShape(normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Read a JSON or YAML config file
+   */
+  readFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const content = fs.readFileSync(absolutePath, 'utf-8');
+    const extension = path.extname(absolutePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+      const YAML = require('yaml');
+      return YAML.parse(content);
+    }
+
+    return JSON.parse(content);
+  }
+
+  /**
+   * Build config from the built-in defaults plus MONDAY_* overrides
+   */
+  fromEnv() {
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_CONFIG.defaults));
+
+    if (process.env.MONDAY_TRIGGER_COLUMNS) {
+      defaults.triggerColumns = process.env.MONDAY_TRIGGER_COLUMNS.split(',').map(id => id.trim()).filter(Boolean);
+    }
+    if (process.env.MONDAY_FILE_COLUMN) {
+      defaults.fileColumn = process.env.MONDAY_FILE_COLUMN;
+    }
+    if (process.env.MONDAY_STATUS_COLUMN) {
+      defaults.statusColumn = process.env.MONDAY_STATUS_COLUMN;
+    }
+    if (process.env.MONDAY_STATUS_DONE_LABEL) {
+      defaults.statusDoneLabel = process.env.MONDAY_STATUS_DONE_LABEL;
+    }
+    if (process.env.MONDAY_EXTRACTION_STATUS_COLUMN) {
+      defaults.extractionStatusColumn = process.env.MONDAY_EXTRACTION_STATUS_COLUMN;
+    }
+    if (process.env.MONDAY_DUPLICATE_OF_COLUMN) {
+      defaults.duplicateOfColumn = process.env.MONDAY_DUPLICATE_OF_COLUMN;
+    }
+    if (process.env.MONDAY_SUPPLIER_COLUMN) {
+      defaults.supplierColumn = process.env.MONDAY_SUPPLIER_COLUMN;
+    }
+    if (process.env.MONDAY_POST_UPDATES) {
+      defaults.postUpdates = process.env.MONDAY_POST_UPDATES !== 'false';
+    }
+
+    for (const [envName, field] of Object.entries(ENV_COLUMNS)) {
+      if (process.env[envName] !== undefined) {
+        if (process.env[envName]) {
+          defaults.columns[field] = process.env[envName];
+        } else {
+          // Empty value unmaps the field
+          delete defaults.columns[field];
+        }
+      }
+    }
+
+    return {
+      defaultBoardId: process.env.MONDAY_BOARD_ID || DEFAULT_CONFIG.defaultBoardId,
+      defaults
+    };
+  }
+
+  /**
+   * Reject structurally broken configs at load time
+   */
+  checkShape(config) {
+    const entries = [['defaults', config.defaults], ...Object.entries(config.boards)];
+
+    for (const [name, entry] of entries) {
+      const board = { ...config.defaults, ...entry };
+
+      if (!Array.isArray(board.triggerColumns)) {
+        throw new Error(`Board config "${name}": triggerColumns must be an array`);
+      }
+      if (!board.fileColumn) {
+        throw new Error(`Board config "${name}": fileColumn is required`);
+      }
+      this.checkFields(name, board.columns);
+
+      for (const [type, rule] of Object.entries(board.documentTypes || {})) {
+        if (!rule || typeof rule !== 'object') {
+          throw new Error(`Board config "${name}": documentTypes.${type} must be an object`);
+        }
+        this.checkFields(`${name}.documentTypes.${type}`, rule.columns);
+        if (rule.values !== undefined && (typeof rule.values !== 'object' || Array.isArray(rule.values))) {
+          throw new Error(`Board config "${name}": documentTypes.${type}.values must map column IDs to labels`);
+        }
+      }
+
+      this.checkTriggerOverlap(name, board);
+    }
+  }
+
+  /**
+   * Columns we write must not be triggers: Monday also sends webhooks for API changes, so every
+   * status/value write would queue the item again
+   */
+  checkTriggerOverlap(name, board) {
+    const written = [
+      ['extractionStatusColumn', board.extractionStatusColumn],
+      ['duplicateOfColumn', board.duplicateOfColumn],
+      ['supplierColumn', board.supplierColumn],
+      ...Object.entries(board.columns || {}).map(([field, columnId]) => [`columns.${field}`, columnId])
+    ];
+
+    for (const [type, rule] of Object.entries(board.documentTypes || {})) {
+      for (const [field, columnId] of Object.entries(rule.columns || {})) {
+        written.push([`documentTypes.${type}.columns.${field}`, columnId]);
+      }
+      for (const columnId of Object.keys(rule.values || {})) {
+        written.push([`documentTypes.${type}.values`, columnId]);
+      }
+    }
+
+    for (const [label, columnId] of written) {
+      if (columnId && board.triggerColumns.includes(columnId)) {
+        throw new Error(`Board config "${name}": ${label} "${columnId}" is also a trigger column, so writing it would re-trigger extraction`);
+      }
+    }
+  }
+
+  checkFields(name, columns) {
+    for (const field of Object.keys(columns || {})) {
+      if (!FIELD_TYPES[field]) {
+        throw new Error(`Board config "${name}": unknown field "${field}" (known: ${Object.keys(FIELD_TYPES).join(', ')})`);
+      }
+    }
+  }
+
+  get defaultBoardId() {
+    return this.config.defaultBoardId;
+  }
+
+  /**
+   * Resolved config for a board (board entry over defaults)
+   */
+  getBoard(boardId) {
+    const id = String(boardId || this.config.defaultBoardId);
+    return {
+      boardId: id,
+      ...this.config.defaults,
+      ...(this.config.boards[id] || {})
+    };
+  }
+
+  /**
+   * Boards that are explicitly configured, plus the default board
+   */
+  getConfiguredBoardIds() {
+    return [...new Set([this.config.defaultBoardId, ...Object.keys(this.config.boards)])];
+  }
+
+  /**
+   * Field → column mapping and fixed column values for one document
+   * Overrides under documentTypes apply by type code first, then by category
+   */
+  getDocumentMapping(boardId, documentType, documentCategory) {
+    const board = this.getBoard(boardId);
+    const rules = board.documentTypes || {};
+    const rule = (documentType && rules[documentType]) || (documentCategory && rules[documentCategory]) || {};
+
+    const columns = { ...(board.columns || {}) };
+    for (const [field, columnId] of Object.entries(rule.columns || {})) {
+      if (columnId) {
+        columns[field] = columnId;
+      } else {
+        delete columns[field];
+      }
+    }
+
+    return { columns, values: { ...(rule.values || {}) } };
+  }
+
+  isTriggerColumn(boardId, columnId) {
+    return this.getBoard(boardId).triggerColumns.includes(columnId);
+  }
+
+  /**
+   * Compare a board's mapping with its real columns (from getBoardColumns)
+   * Returns a list of problems; empty means the mapping is safe to write
+   */
+  checkColumns(boardId, columns) {
+    const board = this.getBoard(boardId);
+    const columnsById = new Map(columns.map(column => [column.id, column]));
+    const problems = [];
+
+    const expect = (columnId, kind, label) => {
+      const column = columnsById.get(columnId);
+      if (!column) {
+        problems.push(`${label}: column "${columnId}" does not exist`);
+      } else if (!COMPATIBLE_COLUMN_TYPES[kind].includes(column.type)) {
+        problems.push(`${label}: column "${columnId}" is of type "${column.type}", expected ${COMPATIBLE_COLUMN_TYPES[kind].join('/')}`);
+      }
+    };
+
+    board.triggerColumns.forEach(columnId => expect(columnId, 'trigger', 'trigger'));
+    expect(board.fileColumn, 'file', 'fileColumn');
+
+    if (board.extractionStatusColumn) {
+      expect(board.extractionStatusColumn, 'status', 'extractionStatusColumn');
+    }
+    if (board.duplicateOfColumn) {
+      expect(board.duplicateOfColumn, 'itemLink', 'duplicateOfColumn');
+    }
+    if (board.supplierColumn) {
+      expect(board.supplierColumn, 'boardRelation', 'supplierColumn');
+    }
+
+    for (const [field, columnId] of Object.entries(board.columns || {})) {
+      expect(columnId, FIELD_TYPES[field], field);
+    }
+
+    for (const [type, rule] of Object.entries(board.documentTypes || {})) {
+      for (const [field, columnId] of Object.entries(rule.columns || {})) {
+        if (columnId) expect(columnId, FIELD_TYPES[field], `documentTypes.${type}.${field}`);
+      }
+      for (const columnId of Object.keys(rule.values || {})) {
+        expect(columnId, 'text', `documentTypes.${type}.values`);
+      }
+    }
+
+    return problems;
+  }
+}
+
+module.exports = new BoardConfig();
@@ -1,7 +1,74 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 const jsQR = require('jsqr');
 const Jimp = require('jimp');
+const atcudParser = require('../services/atcudParser');
+const ocrService = require('../services/ocrService');
+const invoiceValidator = require('../services/invoiceValidator');
+const documentTypes = require('../services/documentTypes');
+const supplierRegistry = require('../services/supplierRegistry');
+const fileType = require('../utils/fileType');
+const imageDecoder = require('../services/imageDecoder');
+const eInvoiceParser = require('../services/eInvoiceParser');
+const qrLocator = require('../services/qrLocator');
+const workerPool = require('../services/workerPool');
+const logger = require('../utils/logger');
+const metrics = require('../services/metrics');
+const qrStats = require('../services/qrStats');
+
+// ZIP bundle limits (entries and total uncompressed size, enforced on the inflated bytes)
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 20;
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 100 * 1024 * 1024; // 100MB
+
+// QR localization: PDF pages are rendered once at this scale (2x ≈ 144 DPI) to find finder patterns
+const QR_RENDER_SCALE = parseFloat(process.env.QR_RENDER_SCALE) || 2;
+// Images are located on a copy no larger than this (px), then cropped from the original
+const QR_LOCATE_MAX_SIZE = 1600;
+// The whole-image fallback decodes a copy no larger than this (px)
+const QR_FULL_MAX_SIZE = 2000;
+// Candidate regions are rendered/upscaled until a QR module is about this wide (px), at most 4x
+// The first size gets every region strategy, the others only the best one
+const QR_MODULE_TARGETS_PX = [6, 4, 8];
+const QR_MAX_UPSCALE = 4;
+
+// Preprocessing tried on each candidate region
+const ROI_STRATEGIES = {
+  'original': () => {},
+  'normalize': (img) => img.greyscale().normalize().contrast(0.8),
+  'posterize-2': (img) => img.greyscale().posterize(2).normalize()
+};
+
+// Preprocessing on the whole image when no region is located - only the best one of the plan is tried
+const FULL_STRATEGIES = {
+  'original': () => {},
+  // Greyscale only (baseline)
+  'greyscale': (img) => img.greyscale(),
+  // Normalize + contrast (best for general scans)
+  'normalize': (img) => img.greyscale().normalize().contrast(0.8),
+  // High contrast + normalize (reversed order)
+  'contrast-normalize': (img) => img.greyscale().contrast(0.9).normalize(),
+  // Posterize 2 levels (thermal receipts)
+  'posterize-2': (img) => img.greyscale().posterize(2).normalize(),
+  // Posterize 3 levels (different binarization)
+  'posterize-3': (img) => img.greyscale().normalize().posterize(3),
+  // Invert (for inverted QR codes)
+  'invert': (img) => img.greyscale().invert().normalize().contrast(0.7),
+  // Brightness boost (for dark scans)
+  'bright': (img) => img.greyscale().brightness(0.4).normalize(),
+  // Blur (noise reduction)
+  'blur': (img) => img.greyscale().blur(1).normalize().contrast(0.9),
+  // Extreme normalize (forces full range)
+  'extreme-normalize': (img) => img.greyscale().normalize().contrast(1.0)
+};
+
+// Built-in attempt order; qrStats reorders it from what succeeded before (globally or for the supplier)
+const DEFAULT_QR_PLAN = {
+  roi: Object.keys(ROI_STRATEGIES),
+  full: Object.keys(FULL_STRATEGIES),
+  scale: QR_MODULE_TARGETS_PX.map(String),
+  decoder: ['jsqr', 'zxing-hybrid', 'zxing-global']
+};
 
 class FileController {
   /**
@@ -15,8 +82,12 @@ class FileController {
 
       const extractedData = await this.extractData(req.file);
 
-      // Clean up file after processing
-      fs.unlinkSync(req.file.path);
+      // Archives: every entry is validated on its own
+      for (const result of extractedData.entries || [extractedData]) {
+        if (result.method !== 'archive-entry-error') {
+          result.validation = invoiceValidator.validate(result);
+        }
+      }
 
       res.json({
         success: true,
@@ -24,150 +95,445 @@ class FileController {
         filename: req.file.originalname
       });
     } catch (error) {
-      console.error('Error processing file:', error);
-      res.status(500).json({ error: error.message });
+      logger.error('Error processing file', { fileName: req.file && req.file.originalname, error });
+      res.status(error.message.startsWith('Unsupported file type') ? 415 : 500).json({ error: error.message });
+    } finally {
+      // Clean up file after processing
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
     }
   }
 
   /**
    * Extract data from different file types
+   * The extraction itself runs in the worker pool; document type and signed totals (credit notes negative)
+   * are then resolved for every format, and the supplier name comes from the registry by issuer NIF
+   * ZIP bundles and multi-invoice SAF-T files return { method, entries: [...] } with one result per entry
    */
   async extractData(file) {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await workerPool.run({ originalname: file.originalname, path: file.path });
+    } catch (error) {
+      metrics.recordExtractionError(Date.now() - startedAt);
+      throw error;
+    }
+
+    if (result.entries) {
+      result.entries = result.entries.map(entry =>
+        entry.method === 'archive-entry-error' ? entry : this.finishExtraction(entry)
+      );
+    } else {
+      result = this.finishExtraction(result);
+    }
+
+    metrics.recordExtraction(result, Date.now() - startedAt);
+    this.recordQrStats(result);
+    return result;
+  }
+
+  /**
+   * Feed every scanned document to the QR telemetry - never fails the extraction
+   */
+  recordQrStats(extractedData) {
+    for (const result of extractedData.entries || [extractedData]) {
+      try {
+        qrStats.record(result);
+      } catch (error) {
+        logger.warn('Could not record QR stats', { error });
+      }
+    }
+  }
+
+  /**
+   * QR telemetry and the attempt order it currently produces
+   */
+  getQrStats() {
+    return qrStats.getSummary(DEFAULT_QR_PLAN);
+  }
+
+  finishExtraction(extractedData) {
+    return supplierRegistry.enrich(documentTypes.apply(extractedData));
+  }
+
+  /**
+   * Route by the real content type (magic bytes), falling back to the extension
+   */
+  async extractByType(file) {
     const fileExtension = path.extname(file.originalname).toLowerCase();
+    const type = await fileType.detect(file.path, file.originalname);
 
-    switch (fileExtension) {
-      case '.pdf':
+    if (type && type !== fileType.fromExtension(file.originalname)) {
+      logger.info('File type differs from its extension', { fileName: file.originalname, type });
+    }
+
+    switch (type) {
+      case 'pdf':
         return await this.extractFromPDF(file.path);
 
-      case '.png':
-      case '.jpg':
-      case '.jpeg':
-      case '.gif':
-      case '.bmp':
+      case 'png':
+      case 'jpeg':
+      case 'gif':
+      case 'bmp':
         return await this.extractFromImage(file.path);
 
-      case '.txt':
+      case 'tiff':
+      case 'webp':
+      case 'heic':
+        return await this.extractFromFrames(file.path, type);
+
+      case 'zip':
+        return await this.extractFromArchive(file);
+
+      case 'xml':
+        return await this.extractFromXML(file.path);
+
+      case 'txt':
         return await this.extractFromText(file.path);
 
       default:
-        throw new Error(`Unsupported file type: ${fileExtension}`);
+        throw new Error(`Unsupported file type: ${fileExtension || 'unknown'}`);
     }
   }
 
   /**
-   * Extract text from PDF by scanning QR code
+   * Extract data from PDF: text layer first (cheap), then QR code on every page
+   * QR scanning stops at the first page where a QR code is found
+   * QR values win over text values; fieldSources records where each field came from
    */
   async extractFromPDF(filePath) {
-    let tempImagePath = null;
+    let pdfDocument = null;
+    let textData = null;
+    let pdfText = '';
+    const strategiesTried = [];
 
     try {
-      const { createCanvas } = require('canvas');
       const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
 
       const data = new Uint8Array(require('fs').readFileSync(filePath));
       const loadingTask = pdfjsLib.getDocument({ data });
-      const pdfDocument = await loadingTask.promise;
+      pdfDocument = await loadingTask.promise;
 
-      const page = await pdfDocument.getPage(1);
+      const pageCount = pdfDocument.numPages;
 
-      // Try 3 scales (optimized for 8GB Railway)
-      // Higher scale first for better QR resolution
-      const scales = [4.0, 3.0, 2.0];
+      // Digitally generated PDFs carry a text layer - no rendering needed to read it
+      pdfText = await this.extractPDFText(pdfDocument);
+      if (pdfText.trim()) {
+        textData = this.parseInvoiceData(pdfText);
+        logger.info('PDF text layer', { chars: pdfText.length, totalValue: textData.totalValue ?? null, invoiceNumber: textData.invoiceNumber || null });
+      }
 
-      for (const scale of scales) {
-        try {
-          const viewport = page.getViewport({ scale });
-
-          const canvas = createCanvas(viewport.width, viewport.height);
-          const context = canvas.getContext('2d');
-
-          await page.render({ canvasContext: context, viewport: viewport }).promise;
-
-          const imageBuffer = canvas.toBuffer('image/png');
-          tempImagePath = filePath.replace('.pdf', `_temp_${scale}.png`);
-          require('fs').writeFileSync(tempImagePath, imageBuffer);
-
-          console.log(`  📐 PDF @ ${scale}x (${Math.round(viewport.width)}x${Math.round(viewport.height)}px)`);
-
-          const qrData = await this.scanQRCode(tempImagePath);
-
-          // Clean up immediately to free memory
-          try {
-            require('fs').unlinkSync(tempImagePath);
-            tempImagePath = null;
-          } catch (e) {}
-
-          // Force garbage collection after each scale
-          if (global.gc) global.gc();
-
-          if (qrData) {
-            console.log(`  🔍 QR Found @ ${scale}x: ${qrData.substring(0, 50)}...`);
-            const invoiceData = this.parseQRCodeData(qrData);
-            return {
-              text: qrData,
-              method: 'qr-code-pdf',
-              ...invoiceData
-            };
-          }
-        } catch (scaleError) {
-          console.log(`  ⚠️  Scale ${scale}x failed: ${scaleError.message}`);
-          // Force GC and try next scale
-          if (global.gc) global.gc();
+      // The issuer NIF printed on the page picks that supplier's strategy order
+      const supplierHint = textData ? textData.issuerNIF : null;
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await pdfDocument.getPage(pageNumber);
+        const hit = await this.scanPDFPage(page, pageNumber, strategiesTried, supplierHint);
+        page.cleanup();
+
+        if (hit) {
+          const qrData = hit.text;
+          logger.info('QR found', { page: pageNumber, pageCount, strategy: strategiesTried[strategiesTried.length - 1], decoder: hit.decoder, qr: qrData.substring(0, 50) });
+          const invoiceData = this.parseQRCodeData(qrData);
+          return {
+            text: qrData,
+            method: 'qr-code-pdf',
+            page: pageNumber,
+            pageCount,
+            strategiesTried,
+            qrStrategy: strategiesTried[strategiesTried.length - 1],
+            qrDecoder: hit.decoder,
+            qrDecodersTried: hit.decodersTried,
+            ...this.mergeExtractions(invoiceData, textData)
+          };
         }
       }
 
-      console.log(`  ❌ QR not found (tried ${scales.length} scales)`);
+      logger.info('QR not found', { pageCount, strategies: strategiesTried.length });
+
+      // Scanned PDF: no text layer and no QR, so OCR the rendered pages
+      if (!textData) {
+        const ocrData = await this.ocrPDF(pdfDocument);
+        if (ocrData) {
+          return { ...ocrData, pageCount, strategiesTried };
+        }
+      }
+
+      if (textData) {
+        return {
+          text: pdfText,
+          method: 'pdf-text',
+          pageCount,
+          strategiesTried,
+          ...this.mergeExtractions(null, textData)
+        };
+      }
 
       return {
         text: '',
         method: 'qr-code-pdf-failed',
+        pageCount,
+        strategiesTried,
         totalValue: null,
         invoiceNumber: null,
         supplierName: null,
         customerNIF: null
       };
     } catch (error) {
-      console.log(`  ⚠️  PDF processing error: ${error.message}`);
+      logger.warn('PDF processing error', { error });
+
+      // Rendering broke after the text layer was read - keep what the text gave us
+      if (textData) {
+        return {
+          text: pdfText,
+          method: 'pdf-text',
+          error: error.message,
+          strategiesTried,
+          ...this.mergeExtractions(null, textData)
+        };
+      }
+
       return {
         text: '',
         method: 'qr-code-pdf-error',
+        error: error.message,
+        strategiesTried,
         totalValue: null,
         invoiceNumber: null,
         supplierName: null,
         customerNIF: null
       };
     } finally {
-      // Always cleanup temp file
-      if (tempImagePath) {
-        try {
-          require('fs').unlinkSync(tempImagePath);
-        } catch (cleanupError) {
-          // Ignore cleanup errors
+      if (pdfDocument) {
+        pdfDocument.destroy();
+      }
+    }
+  }
+
+  /**
+   * OCR the first pages of a PDF, stopping at the first page that yields invoice data
+   */
+  async ocrPDF(pdfDocument) {
+    if (!ocrService.enabled) return null;
+
+    const { createCanvas } = require('canvas');
+    const pageCount = Math.min(pdfDocument.numPages, ocrService.maxPdfPages);
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber);
+
+      try {
+        // 2x (~150 DPI) is enough for OCR
+        const viewport = page.getViewport({ scale: 2.0 });
+        const canvas = createCanvas(viewport.width, viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        const ocrData = await this.ocrImage(canvas.toBuffer('image/png'));
+        if (ocrData) {
+          return { ...ocrData, page: pageNumber };
         }
+      } catch (error) {
+        logger.warn('OCR of page failed', { page: pageNumber, error });
+      } finally {
+        page.cleanup();
       }
     }
+
+    return null;
   }
 
   /**
-   * Extract data from image by scanning QR code only
+   * OCR an image (path, Buffer or decoded bitmap) and parse the text like a text invoice
+   * Returns null when OCR is disabled or finds no total/invoice number
    */
-  async extractFromImage(filePath) {
+  async ocrImage(image) {
+    if (image.data && image.width) {
+      image = await (await this.loadImage(image)).getBufferAsync(Jimp.MIME_PNG);
+    }
+
+    const ocr = await ocrService.recognize(image);
+    if (!ocr || !ocr.text.trim()) return null;
+
+    const invoiceData = this.parseInvoiceData(ocr.text);
+    if (!invoiceData.totalValue && !invoiceData.invoiceNumber) {
+      logger.info('OCR found no invoice data', { chars: ocr.text.length });
+      return null;
+    }
+
+    logger.info('OCR result', { totalValue: invoiceData.totalValue ?? null, invoiceNumber: invoiceData.invoiceNumber || null, confidence: ocr.confidence });
+
+    return {
+      text: ocr.text,
+      method: 'ocr-text',
+      ocrConfidence: ocr.confidence,
+      ...invoiceData
+    };
+  }
+
+  /**
+   * Read the text layer of every page, keeping line breaks
+   */
+  async extractPDFText(pdfDocument) {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber);
+      const content = await page.getTextContent();
+
+      let pageText = '';
+      let lastY = null;
+
+      for (const item of content.items) {
+        if (item.str === undefined) continue;
+
+        // A change in baseline means a new line
+        const y = item.transform ? item.transform[5] : null;
+        if (lastY !== null && y !== null && Math.abs(y - lastY) > 2) {
+          pageText += '\n';
+        } else if (pageText && !pageText.endsWith('\n') && !pageText.endsWith(' ')) {
+          pageText += ' ';
+        }
+
+        pageText += item.str;
+        lastY = y;
+
+        if (item.hasEOL) {
+          pageText += '\n';
+          lastY = null;
+        }
+      }
+
+      pages.push(pageText);
+      page.cleanup();
+    }
+
+    return pages.join('\n');
+  }
+
+  /**
+   * Merge QR and text-layer results field by field (QR first)
+   * fieldSources maps each filled field to "qr" or "text"
+   */
+  mergeExtractions(qrData, textData) {
+    const merged = { ...(textData || {}), ...(qrData || {}) };
+    const fieldSources = {};
+
+    for (const field of Object.keys(merged)) {
+      const qrValue = qrData ? qrData[field] : null;
+      const textValue = textData ? textData[field] : null;
+
+      if (qrValue !== null && qrValue !== undefined) {
+        merged[field] = qrValue;
+        fieldSources[field] = 'qr';
+      } else if (textValue !== null && textValue !== undefined) {
+        merged[field] = textValue;
+        fieldSources[field] = 'text';
+      }
+    }
+
+    // Internal parse details are not invoice fields
+    delete fieldSources.parseErrors;
+    delete fieldSources.vatBreakdown;
+
+    return { ...merged, fieldSources };
+  }
+
+  /**
+   * Render one PDF page once at QR_RENDER_SCALE, locate QR finder patterns, then re-render only the
+   * candidate regions at a higher scale; one decode of the whole low-resolution page is the fallback
+   * Every strategy attempted is appended to strategiesTried as "p<page>@<scale>x:<strategy>"
+   * Returns { text, decoder, decodersTried } or null
+   */
+  async scanPDFPage(page, pageNumber, strategiesTried = [], supplierHint = null) {
+    const attempts = [];
+
     try {
-      const qrData = await this.scanQRCode(filePath);
+      const plan = qrStats.plan(DEFAULT_QR_PLAN, supplierHint);
+      const pageImage = await this.renderPDFRegion(page, QR_RENDER_SCALE);
+      logger.debug('PDF page rendered', { page: pageNumber, scale: QR_RENDER_SCALE, width: pageImage.bitmap.width, height: pageImage.bitmap.height });
+
+      const regions = qrLocator.locate(pageImage.bitmap);
+      const hit = await this.scanRegions(regions, (region, upscale) => this.renderPDFRegion(page, QR_RENDER_SCALE * upscale, {
+        x: region.x * upscale,
+        y: region.y * upscale,
+        width: region.width * upscale,
+        height: region.height * upscale
+      }), attempts, plan);
+
+      return hit || await this.scanFullImage(pageImage, attempts, plan);
+    } catch (error) {
+      logger.warn('Page scan failed', { page: pageNumber, error });
+      return null;
+    } finally {
+      strategiesTried.push(...attempts.map(name => `p${pageNumber}@${QR_RENDER_SCALE}x:${name}`));
+    }
+  }
+
+  /**
+   * Render a PDF page (or a clip of it, in pixels at that scale) straight into a Jimp image
+   */
+  async renderPDFRegion(page, scale, clip = null) {
+    const { createCanvas } = require('canvas');
+
+    const viewport = page.getViewport({
+      scale,
+      offsetX: clip ? -clip.x : 0,
+      offsetY: clip ? -clip.y : 0
+    });
+    const width = Math.ceil(clip ? clip.width : viewport.width);
+    const height = Math.ceil(clip ? clip.height : viewport.height);
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    const { data } = context.getImageData(0, 0, width, height);
+    return new Jimp({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+  }
+
+  /**
+   * Upscale factor that brings a module of moduleSize px to about targetPx
+   */
+  regionUpscale(moduleSize, targetPx) {
+    return Math.min(QR_MAX_UPSCALE, Math.max(1, Math.ceil(targetPx / moduleSize)));
+  }
+
+  /**
+   * Extract data from an image (path or decoded bitmap): QR code first, OCR as fallback
+   */
+  async extractFromImage(source) {
+    try {
+      const strategiesTried = [];
+      const hit = await this.scanQRCode(source, strategiesTried);
 
-      if (qrData) {
+      if (hit) {
+        const qrData = hit.text;
         const invoiceData = this.parseQRCodeData(qrData);
-        console.log(`  🔍 QR Found: ${qrData.substring(0, 50)}...`);
+        logger.info('QR found', { strategy: strategiesTried[strategiesTried.length - 1], decoder: hit.decoder, qr: qrData.substring(0, 50) });
         return {
           text: qrData,
           method: 'qr-code',
+          strategiesTried,
+          qrStrategy: strategiesTried[strategiesTried.length - 1],
+          qrDecoder: hit.decoder,
+          qrDecodersTried: hit.decodersTried,
           ...invoiceData
         };
       } else {
-        console.log(`  ⚠️  QR code not detected`);
+        logger.info('QR not found', { strategies: strategiesTried.length });
+
+        // Scanned invoice without a readable QR - fall back to OCR
+        const ocrData = await this.ocrImage(source);
+        if (ocrData) {
+          return { ...ocrData, strategiesTried };
+        }
+
         return {
           text: '',
           method: 'qr-code',
+          strategiesTried,
           totalValue: null,
           invoiceNumber: null,
           supplierName: null,
@@ -175,11 +541,177 @@ class FileController {
         };
       }
     } catch (error) {
-      console.error(`  ❌ QR scan failed: ${error.message}`);
+      logger.error('QR scan failed', { error });
       throw error;
     }
   }
 
+  /**
+   * Extract data from multi-frame formats (TIFF pages, HEIC images, WebP), one frame at a time
+   * The first frame with invoice data wins; strategiesTried entries are prefixed "f<frame>:"
+   */
+  async extractFromFrames(filePath, type) {
+    const strategiesTried = [];
+    let frameCount = 0;
+    let lastResult = null;
+
+    for await (const frame of imageDecoder.frames(filePath, type)) {
+      frameCount++;
+      logger.info('Image frame', { type, frame: frameCount, width: frame.width, height: frame.height });
+
+      const result = await this.extractFromImage(frame);
+      strategiesTried.push(...(result.strategiesTried || []).map(name => `f${frameCount}:${name}`));
+      lastResult = { ...result, qrStrategy: result.qrStrategy && `f${frameCount}:${result.qrStrategy}` };
+
+      if (result.totalValue || result.invoiceNumber) {
+        return { ...lastResult, frame: frameCount, frameCount, strategiesTried };
+      }
+    }
+
+    if (!lastResult) {
+      throw new Error(`No images found in ${type.toUpperCase()} file`);
+    }
+
+    return { ...lastResult, frameCount, strategiesTried };
+  }
+
+  /**
+   * Extract every file in a ZIP bundle - each entry gets its own result (or error)
+   * Nested archives are not opened
+   */
+  async extractFromArchive(file) {
+    const AdmZip = require('adm-zip');
+    const zip = new AdmZip(file.path);
+
+    const entries = zip.getEntries().filter(entry => {
+      const baseName = path.basename(entry.entryName);
+      return !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/') && !baseName.startsWith('.');
+    });
+
+    if (entries.length > ARCHIVE_MAX_ENTRIES) {
+      throw new Error(`Archive has ${entries.length} files, the limit is ${ARCHIVE_MAX_ENTRIES}`);
+    }
+
+    const sizeLimitError = () => new Error(`Archive expands to more than ${(ARCHIVE_MAX_BYTES / 1024 / 1024).toFixed(0)}MB`);
+
+    // Declared sizes reject honest large archives early; the inflate below enforces the limit on real bytes
+    const declaredSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (declaredSize > ARCHIVE_MAX_BYTES) {
+      throw sizeLimitError();
+    }
+
+    logger.info('Archive', { entries: entries.length });
+
+    const results = [];
+    let inflatedBytes = 0;
+
+    for (const entry of entries) {
+      const entryName = entry.entryName;
+      const entryPath = path.join('uploads', `${Date.now()}-${path.basename(entryName)}`);
+
+      try {
+        const content = this.inflateEntry(entry, ARCHIVE_MAX_BYTES - inflatedBytes);
+        inflatedBytes += content.length;
+
+        if (fileType.fromBuffer(content) === 'zip') {
+          throw new Error('Nested archives are not supported');
+        }
+
+        await fs.promises.writeFile(entryPath, content);
+        logger.info('Archive entry', { entry: entryName });
+
+        // Already inside a worker: extract directly, extractData finishes every entry afterwards
+        const extractedData = await this.extractByType({ originalname: entryName, path: entryPath });
+        if (extractedData.entries) {
+          results.push(...extractedData.entries.map(result => ({ ...result, fileName: `${entryName}/${result.fileName}` })));
+        } else {
+          results.push({ ...extractedData, fileName: entryName });
+        }
+      } catch (error) {
+        // A zip bomb fails the whole archive, any other entry error only that entry
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw sizeLimitError();
+        logger.warn('Archive entry failed', { entry: entryName, error });
+        results.push({ fileName: entryName, method: 'archive-entry-error', error: error.message });
+      } finally {
+        await fs.promises.rm(entryPath, { force: true });
+      }
+    }
+
+    return {
+      method: 'archive',
+      entryCount: results.length,
+      entries: results
+    };
+  }
+
+  /**
+   * Inflate one ZIP entry producing at most maxBytes, whatever its header declares
+   * Throws a RangeError with code ERR_BUFFER_TOO_LARGE past the limit
+   */
+  inflateEntry(entry, maxBytes) {
+    const { header } = entry;
+
+    if (header.encrypted) {
+      throw new Error('Encrypted archive entries are not supported');
+    }
+
+    const compressed = entry.getCompressedData();
+    let content;
+
+    if (header.method === 0) {
+      content = compressed;
+    } else if (header.method === 8) {
+      content = compressed.length > 0 ? zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, maxBytes) }) : compressed;
+    } else {
+      throw new Error(`Unsupported compression method ${header.method}`);
+    }
+
+    if (content.length > maxBytes) {
+      throw Object.assign(new RangeError('Archive entry exceeds the size limit'), { code: 'ERR_BUFFER_TOO_LARGE' });
+    }
+    if (content.length !== header.size) {
+      throw new Error(`Entry is ${content.length} bytes, its header declares ${header.size}`);
+    }
+
+    return content;
+  }
+
+  /**
+   * Extract structured e-invoices (UBL/CIUS-PT, SAF-T PT) - values are read directly, no QR or OCR
+   * A SAF-T file with several invoices returns one entry per invoice
+   */
+  async extractFromXML(filePath) {
+    const content = await fs.promises.readFile(filePath);
+
+    // SAF-T exports are often Windows-1252, as declared in the XML prolog
+    const declared = content.toString('latin1', 0, 200).match(/encoding=["']([\w-]+)["']/i);
+    const xml = new TextDecoder(declared ? declared[1] : 'utf-8').decode(content);
+
+    const { format, invoices } = eInvoiceParser.parse(xml);
+    const method = `xml-${format}`;
+
+    invoices.forEach(invoice => {
+      logger.info('E-invoice', { format, totalValue: invoice.totalValue ?? null, invoiceNumber: invoice.invoiceNumber || null });
+      if (invoice.parseErrors.length > 0) {
+        logger.warn('XML fields rejected', { parseErrors: invoice.parseErrors });
+      }
+    });
+
+    if (invoices.length === 1) {
+      return { method, ...invoices[0] };
+    }
+
+    return {
+      method,
+      entryCount: invoices.length,
+      entries: invoices.map((invoice, index) => ({
+        method,
+        fileName: invoice.invoiceNumber || `invoice-${index + 1}`,
+        ...invoice
+      }))
+    };
+  }
+
   /**
    * Extract text from plain text file
    */
@@ -225,7 +757,9 @@ class FileController {
       currency: null,
       invoiceNumber: null,
       invoiceDate: null,
-      supplierName: null
+      supplierName: null,
+      issuerNIF: null,
+      customerNIF: null
     };
 
     // Clean up text for better parsing
@@ -300,8 +834,8 @@ class FileController {
 
     // Extract invoice number
     const invoiceNumberPatterns = [
-      // Portuguese invoice formats: FT, FTA, FR, FA followed by numbers
-      /(FT[A]?|FR|FA)\s+([A-Z0-9\/\-]+)/i,  // Captures: FT 1L2501/1343 -> "FT 1L2501/1343"
+      // Portuguese document formats: FT, FTA, FR, FA, FS, NC, ND, RC, RG followed by numbers
+      /\b(FT[A]?|FR|FA|FS|NC|ND|RC|RG)\s+([A-Z0-9\/\-]+)/i,  // Captures: FT 1L2501/1343 -> "FT 1L2501/1343"
       /(?:fatura-recibo|fatura)\s*n[:\-]?\s*([A-Z0-9\/\-]+)/i,
       /invoice\s*number\s*[:\-]?\s*([A-Z0-9\-]+)/i,
       /invoice\s*#\s*[:\-]?\s*([A-Z0-9\-]+)/i,
@@ -324,6 +858,22 @@ class FileController {
       }
     }
 
+    // Extract NIFs: labelled customer NIFs go to customerNIF, the first other one is the issuer's
+    const nifPattern = /\b(?:NIF|NIPC|contribuinte|VAT\s*(?:no|number)?)\b[^\d]{0,20}?(?:PT\s?)?(\d{3}\s?\d{3}\s?\d{3})\b/gi;
+    for (const match of cleanText.matchAll(nifPattern)) {
+      const nif = match[1].replace(/\s+/g, '');
+      if (!invoiceValidator.isValidNIF(nif)) continue;
+
+      const context = cleanText.substring(Math.max(0, match.index - 30), match.index + match[0].length);
+      const isCustomer = /cliente|adquirente|customer|client/i.test(context);
+
+      if (isCustomer && !invoiceData.customerNIF) {
+        invoiceData.customerNIF = nif;
+      } else if (!isCustomer && !invoiceData.issuerNIF) {
+        invoiceData.issuerNIF = nif;
+      }
+    }
+
     // Extract supplier name (usually first line or near top of invoice)
     const supplierPatterns = [
       // Pattern: Look for company name patterns (words before address/NIF)
@@ -360,143 +910,175 @@ class FileController {
   }
 
   /**
-   * Scan QR code from image with preprocessing
+   * Load a path, Buffer or decoded { width, height, data } bitmap as a Jimp image
    */
-  async scanQRCode(filePath) {
-    const tryStrategy = async (name, processFn) => {
-      try {
-        const image = await Jimp.read(filePath);
-        processFn(image);
-        const code = this.tryQRScan(image);
-        if (code) {
-          if (global.gc) global.gc();
-          return code;
-        }
-      } catch (err) {
-        // Strategy failed, continue to next
-      }
-      return null;
-    };
+  async loadImage(source) {
+    if (source instanceof Jimp) return source;
+    if (typeof source === 'string' || Buffer.isBuffer(source)) return await Jimp.read(source);
 
+    return new Jimp({ data: Buffer.from(source.data), width: source.width, height: source.height });
+  }
+
+  /**
+   * Scan QR code from image (path, Buffer or decoded bitmap)
+   * Finder patterns are located on a reduced copy and only those regions are decoded at full resolution;
+   * a single whole-image decode is the fallback when no candidate region is found
+   * Names of the strategies attempted are appended to attempts ("roi<n>@<module px>px:<strategy>" for regions)
+   * Returns { text, decoder, decodersTried } or null
+   */
+  async scanQRCode(source, attempts = [], supplierHint = null) {
     try {
-      // Load image to get dimensions
-      const image = await Jimp.read(filePath);
-      const originalWidth = image.bitmap.width;
-      const originalHeight = image.bitmap.height;
-
-      // Try 10 most effective strategies (optimized for 8GB RAM)
-
-      // Strategy 1: Original
-      let code = await tryStrategy('original', (img) => {});
-      if (code) return code;
-
-      // Strategy 2: Greyscale only (baseline)
-      code = await tryStrategy('greyscale', (img) => img.greyscale());
-      if (code) return code;
-
-      // Strategy 3: Normalize + contrast (best for general scans)
-      code = await tryStrategy('normalize', (img) => img.greyscale().normalize().contrast(0.8));
-      if (code) return code;
-
-      // Strategy 4: High contrast + normalize (reversed order)
-      code = await tryStrategy('contrast-normalize', (img) => img.greyscale().contrast(0.9).normalize());
-      if (code) return code;
-
-      // Strategy 5: Posterize 2 levels (thermal receipts)
-      code = await tryStrategy('posterize-2', (img) => img.greyscale().posterize(2).normalize());
-      if (code) return code;
-
-      // Strategy 6: Posterize 3 levels (different binarization)
-      code = await tryStrategy('posterize-3', (img) => img.greyscale().normalize().posterize(3));
-      if (code) return code;
-
-      // Strategy 7: Invert (for inverted QR codes)
-      code = await tryStrategy('invert', (img) => img.greyscale().invert().normalize().contrast(0.7));
-      if (code) return code;
-
-      // Strategy 8: Brightness boost (for dark scans)
-      code = await tryStrategy('bright', (img) => img.greyscale().brightness(0.4).normalize());
-      if (code) return code;
-
-      // Strategy 9: Blur + sharpen (noise reduction)
-      code = await tryStrategy('blur', (img) => img.greyscale().blur(1).normalize().contrast(0.9));
-      if (code) return code;
-
-      // Strategy 10: Extreme normalize (forces full range)
-      code = await tryStrategy('extreme-normalize', (img) => {
-        img.greyscale().normalize();
-        // Apply normalize twice for extreme contrast
-        img.contrast(1.0);
-        return img;
+      const plan = qrStats.plan(DEFAULT_QR_PLAN, supplierHint);
+      const baseImage = await this.loadImage(source);
+      const { width, height } = baseImage.bitmap;
+
+      const factor = Math.min(1, QR_LOCATE_MAX_SIZE / Math.max(width, height));
+      const locateBitmap = factor < 1 ? baseImage.clone().scale(factor).bitmap : baseImage.bitmap;
+
+      // Back to full-resolution coordinates
+      const regions = qrLocator.locate(locateBitmap).map(region => {
+        const x = Math.floor(region.x / factor);
+        const y = Math.floor(region.y / factor);
+        return {
+          ...region,
+          x,
+          y,
+          width: Math.min(width - x, Math.ceil(region.width / factor)),
+          height: Math.min(height - y, Math.ceil(region.height / factor)),
+          moduleSize: region.moduleSize / factor
+        };
       });
-      if (code) return code;
 
-      // Free memory
-      if (global.gc) global.gc();
+      if (regions.length === 0) {
+        return await this.scanFullImage(baseImage, attempts, plan);
+      }
 
-      return null;
+      return await this.scanRegions(regions, (region, upscale) => {
+        const crop = new Jimp(region.width, region.height).blit(baseImage, 0, 0, region.x, region.y, region.width, region.height);
+        return upscale > 1 ? crop.scale(upscale) : crop;
+      }, attempts, plan);
     } catch (error) {
-      console.log(`  ⚠️  QR scan error: ${error.message}`);
-      if (global.gc) global.gc();
+      logger.warn('QR scan error', { error });
       return null;
     }
   }
 
   /**
-   * Try to scan QR code from processed image using multiple libraries
+   * Decode candidate regions (best first) at each module size of the plan
+   * renderRegion(region, upscale) returns a Jimp image of one region; sizes needing the same upscale render once
    */
-  tryQRScan(image) {
-    const { data, width, height } = image.bitmap;
+  async scanRegions(regions, renderRegion, attempts, plan) {
+    for (const [index, region] of regions.entries()) {
+      const upscalesTried = new Set();
 
-    // Try jsQR first (fast, good for clean images)
-    const code = jsQR(new Uint8ClampedArray(data), width, height, {
-      inversionAttempts: 'attemptBoth' // Try both normal and inverted
-    });
-    if (code && code.data) {
-      return code.data;
+      for (const targetPx of plan.scale) {
+        const upscale = this.regionUpscale(region.moduleSize, Number(targetPx));
+        if (upscalesTried.has(upscale)) continue;
+
+        const strategies = upscalesTried.size === 0 ? plan.roi : plan.roi.slice(0, 1);
+        upscalesTried.add(upscale);
+
+        let regionImage;
+        try {
+          regionImage = await renderRegion(region, upscale);
+        } catch (error) {
+          logger.warn('QR region failed', { region: index + 1, error });
+          break;
+        }
+
+        for (const name of strategies) {
+          attempts.push(`roi${index + 1}@${targetPx}px:${name}`);
+          const image = regionImage.clone();
+          ROI_STRATEGIES[name](image);
+
+          const hit = this.decodeQR(image, plan.decoder);
+          if (hit) return hit;
+        }
+      }
     }
 
-    // Try ZXing as fallback (more robust for difficult QR codes)
+    return null;
+  }
+
+  /**
+   * One decode of the whole image (at most QR_FULL_MAX_SIZE px) with the first full-image strategy of the plan
+   */
+  async scanFullImage(baseImage, attempts, plan = DEFAULT_QR_PLAN) {
+    const [name] = plan.full;
+    attempts.push(name);
+
     try {
-      const { BrowserQRCodeReader, BinaryBitmap, HybridBinarizer, GlobalHistogramBinarizer, RGBLuminanceSource } = require('@zxing/library');
+      const { width, height } = baseImage.bitmap;
+      const factor = Math.min(1, QR_FULL_MAX_SIZE / Math.max(width, height));
+      const image = factor < 1 ? baseImage.clone().scale(factor) : baseImage.clone();
+      FULL_STRATEGIES[name](image);
 
-      // Convert Jimp image to luminance data for ZXing
-      const luminanceSource = new RGBLuminanceSource(
-        new Uint8ClampedArray(data),
-        width,
-        height
-      );
+      return this.decodeQR(image, plan.decoder);
+    } catch (error) {
+      logger.warn('QR full-image decode failed', { strategy: name, error });
+      return null;
+    }
+  }
+
+  /**
+   * Try to scan QR code from processed image using multiple libraries
+   */
+  tryQRScan(image) {
+    const hit = this.decodeQR(image);
+    return hit ? hit.text : null;
+  }
+
+  /**
+   * Run the decoders in the given order until one reads the code
+   * Returns { text, decoder, decodersTried } or null
+   */
+  decodeQR(image, decoders = DEFAULT_QR_PLAN.decoder) {
+    const { data, width, height } = image.bitmap;
+    const decodersTried = [];
+    let luminanceSource = null;
+
+    for (const decoder of decoders) {
+      decodersTried.push(decoder);
+      let text = null;
 
-      // Try HybridBinarizer first
       try {
-        const binaryBitmap = new HybridBinarizer(luminanceSource);
-        const reader = new BrowserQRCodeReader();
-        const result = reader.decode(binaryBitmap);
-        if (result && result.getText()) {
-          return result.getText();
+        if (decoder === 'jsqr') {
+          // Fast, good for clean images; tries normal and inverted
+          const code = jsQR(new Uint8ClampedArray(data), width, height, { inversionAttempts: 'attemptBoth' });
+          text = code && code.data;
+        } else {
+          // ZXing is more robust for difficult codes; GlobalHistogram copes better with uneven lighting
+          const { QRCodeReader, BinaryBitmap, HybridBinarizer, GlobalHistogramBinarizer, RGBLuminanceSource } = require('@zxing/library');
+          luminanceSource = luminanceSource || new RGBLuminanceSource(this.toLuminance(data, width, height), width, height);
+
+          const Binarizer = decoder === 'zxing-hybrid' ? HybridBinarizer : GlobalHistogramBinarizer;
+          const result = new QRCodeReader().decode(new BinaryBitmap(new Binarizer(luminanceSource)));
+          text = result && result.getText();
         }
       } catch (e) {
-        // Continue to GlobalHistogramBinarizer
+        // Not found by this decoder, continue to the next
       }
 
-      // Try GlobalHistogramBinarizer (better for uneven lighting)
-      try {
-        const binaryBitmap2 = new GlobalHistogramBinarizer(luminanceSource);
-        const reader2 = new BrowserQRCodeReader();
-        const result2 = reader2.decode(binaryBitmap2);
-        if (result2 && result2.getText()) {
-          return result2.getText();
-        }
-      } catch (e) {
-        // Both ZXing methods failed
+      if (text) {
+        return { text, decoder, decodersTried };
       }
-    } catch (zxingError) {
-      // ZXing failed completely
     }
 
     return null;
   }
 
+  /**
+   * One grey byte per pixel, transparent pixels over white - the input ZXing's RGBLuminanceSource expects
+   */
+  toLuminance(data, width, height) {
+    const luminance = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+      const alpha = data[p + 3] / 255;
+      luminance[i] = ((data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000) * alpha + 255 * (1 - alpha);
+    }
+    return luminance;
+  }
+
   /**
    * Parse Portuguese ATCUD QR code data
    */
@@ -511,67 +1093,36 @@ class FileController {
     };
 
     // Portuguese ATCUD QR format example:
-    // A:123456789*B:FT 2025/123*C:PT*D:FT*E:N*F:20250101*G:FT 2025/123*H:0*I1:PT*I2:12345678*I3:55.20*I4:11.00*...
-
-    const fields = qrData.split('*');
+    // A:123456789*B:999999990*C:PT*D:FT*E:N*F:20250101*G:FT 2025/123*H:JJ3K4M5N-123*I1:PT*I7:100.00*I8:23.00*N:23.00*O:123.00*Q:ab1C*R:1234
 
-    fields.forEach(field => {
-      const [key, value] = field.split(':');
+    if (atcudParser.isAtcud(qrData)) {
+      const atcudData = atcudParser.parse(qrData);
 
-      if (!key || !value) return;
-
-      switch (key.trim()) {
-        case 'G': // Invoice number (FT 0E06021225/2249)
-          if (value) {
-            invoiceData.invoiceNumber = value.trim();
-          }
-          break;
-
-        case 'A': // Customer NIF - maps to text_mkwbb9
-          if (value) {
-            invoiceData.customerNIF = value.trim();
-          }
-          break;
-
-        case 'O': // Total paid (base + tax)
-          const totalO = parseFloat(value.replace(',', '.'));
-          if (!isNaN(totalO) && totalO > 0) {
-            invoiceData.totalValue = totalO;
-          }
-          break;
-
-        case 'F': // Date (YYYYMMDD format)
-          if (value && value.length === 8) {
-            const year = value.substring(0, 4);
-            const month = value.substring(4, 6);
-            const day = value.substring(6, 8);
-            invoiceData.invoiceDate = `${year}-${month}-${day}`;
-          }
-          break;
+      Object.assign(invoiceData, atcudData, {
+        // B is the buyer NIF (A is the issuer) - maps to text_mkwbb9
+        customerNIF: atcudData.buyerNIF
+      });
 
-        case 'B': // Supplier NIF (not used currently)
-        case 'I7': // Base value before tax
-        case 'I8': // Tax amount (IVA)
-          // Skip these fields - we use 'O' for total
-          break;
+      if (atcudData.parseErrors.length > 0) {
+        logger.warn('ATCUD fields rejected', { parseErrors: atcudData.parseErrors });
       }
-    });
 
-    // If QR doesn't follow ATCUD standard, try simple parsing
-    if (!invoiceData.totalValue && !invoiceData.invoiceNumber) {
-      // Try to extract invoice number pattern
-      const invoiceMatch = qrData.match(/(FT[A]?|FR|FA)\s+([A-Z0-9\/\-]+)/i);
-      if (invoiceMatch) {
-        invoiceData.invoiceNumber = `${invoiceMatch[1]} ${invoiceMatch[2]}`.trim();
-      }
+      return invoiceData;
+    }
 
-      // Try to extract total value
-      const totalMatch = qrData.match(/(\d+[.,]\d{2})/);
-      if (totalMatch) {
-        const total = parseFloat(totalMatch[1].replace(',', '.'));
-        if (!isNaN(total)) {
-          invoiceData.totalValue = total;
-        }
+    // QR doesn't follow ATCUD standard, try simple parsing
+    // Try to extract invoice number pattern
+    const invoiceMatch = qrData.match(/\b(FT[A]?|FR|FA|FS|NC|ND|RC|RG)\s+([A-Z0-9\/\-]+)/i);
+    if (invoiceMatch) {
+      invoiceData.invoiceNumber = `${invoiceMatch[1]} ${invoiceMatch[2]}`.trim();
+    }
+
+    // Try to extract total value
+    const totalMatch = qrData.match(/(\d+[.,]\d{2})/);
+    if (totalMatch) {
+      const total = parseFloat(totalMatch[1].replace(',', '.'));
+      if (!isNaN(total)) {
+        invoiceData.totalValue = total;
       }
     }
 
@@ -1,18 +1,55 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const http = require('http');
 const https = require('https');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const boardConfig = require('../config/boardConfig');
+const logger = require('../utils/logger');
+const metrics = require('../services/metrics');
+const {
+  MondayApiError,
+  MondayAuthError,
+  MondayNotFoundError,
+  MondayRateLimitError,
+  MondayValidationError
+} = require('../errors/mondayErrors');
+
+// Network errors worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Monday error codes → error class
+const AUTH_ERROR_CODES = ['UserUnauthorizedException', 'Unauthorized', 'USER_UNAUTHORIZED', 'UNAUTHENTICATED', 'MissingRequiredPermissionsException'];
+const NOT_FOUND_ERROR_CODES = ['ResourceNotFoundException', 'InvalidBoardIdException', 'InvalidItemIdException', 'ItemNotFoundException', 'NOT_FOUND'];
+const RATE_LIMIT_ERROR_CODES = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'RateLimitExceeded', 'RATE_LIMIT_EXCEEDED', 'Rate Limit Exceeded', 'maxConcurrencyExceeded', 'IP_RATE_LIMIT_EXCEEDED', 'DAILY_LIMIT_EXCEEDED', 'FIELD_LIMIT_EXCEEDED'];
 
 class MondayController {
   constructor() {
     this.apiUrl = process.env.MONDAY_API_URL || 'https://api.monday.com/v2';
     this.apiToken = process.env.MONDAY_API_TOKEN;
-    this.defaultBoardId = '1443407769';
-    this.fileColumnId = 'arquivos';
+
+    // Board columns fetched during mapping validation: boardId → { columnTypes, problems }
+    this.boardMappings = new Map();
+
+    // Complexity budget reported by the last query that asked for it
+    this.complexity = { remaining: null, resetAt: 0, lastCost: 0 };
+    this.ITEMS_PAGE_LIMIT = 500; // Monday's maximum page size
+
+    // Retry policy for executeQuery
+    this.MAX_RETRIES = parseInt(process.env.MONDAY_MAX_RETRIES, 10) || 5;
+    this.RETRY_BASE_DELAY = 1000; // 1s, doubled per attempt
+    this.RETRY_MAX_DELAY = 60 * 1000; // 1 minute
 
     // Simple in-memory cache for asset URLs (TTL: 1 hour)
     this.assetUrlCache = new Map();
     this.CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
+    // File download limits
+    this.DOWNLOAD_MAX_BYTES = parseInt(process.env.DOWNLOAD_MAX_BYTES, 10) || 50 * 1024 * 1024; // 50MB
+    this.DOWNLOAD_TIMEOUT = parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 2 * 60 * 1000; // 2 minutes
+    this.DOWNLOAD_MAX_REDIRECTS = 5;
+
     // Create axios instance with connection pooling
     this.axiosInstance = axios.create({
       baseURL: this.apiUrl,
@@ -31,35 +68,156 @@ class MondayController {
 
   /**
    * Execute GraphQL query to Monday.com API
+   * Retries network errors, 5xx and rate limits (honouring Retry-After / reset times) with
+   * exponential backoff + jitter. Throws typed errors from errors/mondayErrors.
    */
-  async executeQuery(query, variables = {}, retries = 3) {
+  async executeQuery(query, variables = {}, attempt = 0) {
+    const operation = metrics.operationName(query);
+
     try {
       const response = await this.axiosInstance.post('', { query, variables });
 
-      if (response.data.errors) {
-        throw new Error(JSON.stringify(response.data.errors));
+      // Monday reports most failures (complexity, bad column values...) with HTTP 200
+      if (response.data.errors || response.data.error_code || response.data.error_message) {
+        throw this.toMondayError(null, response.data, response.status, response.headers);
+      }
+
+      metrics.recordMondayCall(operation);
+
+      if (response.data.data && response.data.data.complexity) {
+        this.recordComplexity(response.data.data.complexity);
       }
 
       return response.data.data;
-    } catch (error) {
-      // Retry on connection errors
-      if (retries > 0 && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED')) {
-        console.log(`⚠️ Connection error (${error.code}), retrying... (${retries} attempts left)`);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-        return this.executeQuery(query, variables, retries - 1);
+    } catch (rawError) {
+      const error = rawError instanceof MondayApiError
+        ? rawError
+        : this.toMondayError(rawError, rawError.response && rawError.response.data, rawError.response && rawError.response.status, rawError.response && rawError.response.headers);
+
+      metrics.recordMondayCall(operation, error);
+
+      if (error.retryable && attempt < this.MAX_RETRIES) {
+        const delay = this.getRetryDelay(error, attempt);
+        logger.warn('Monday API call failed, retrying', { operation, error, delayMs: Math.round(delay), attemptsLeft: this.MAX_RETRIES - attempt });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.executeQuery(query, variables, attempt + 1);
       }
 
-      console.error('Monday API Error:', error.message);
+      logger.error('Monday API error', { operation, error });
       throw error;
     }
   }
 
+  /**
+   * Exponential backoff with full jitter; rate limits wait at least the reported reset time
+   */
+  getRetryDelay(error, attempt) {
+    const backoff = Math.min(this.RETRY_BASE_DELAY * Math.pow(2, attempt), this.RETRY_MAX_DELAY);
+    const jittered = Math.random() * backoff;
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      // Small jitter so parallel processors don't all retry in the same instant
+      return error.retryAfterMs + Math.random() * 1000;
+    }
+
+    return Math.max(250, jittered);
+  }
+
+  /**
+   * Turn an axios error and/or a Monday error payload into a typed error
+   */
+  toMondayError(networkError, body, status, headers) {
+    // Network-level failure: no response at all
+    if (networkError && !networkError.response) {
+      return new MondayApiError(networkError.message, {
+        code: networkError.code,
+        retryable: RETRYABLE_NETWORK_CODES.includes(networkError.code)
+      });
+    }
+
+    const errors = (body && body.errors) || [];
+    const firstError = errors[0] || {};
+    const extensions = firstError.extensions || {};
+    const code = (body && body.error_code) || extensions.code || null;
+    const message = (body && body.error_message) || firstError.message || (networkError && networkError.message) || `HTTP ${status}`;
+    const options = { status, code, details: errors.length > 0 ? errors : body };
+
+    const retryAfterMs = this.getRetryAfterMs(headers, extensions, message);
+
+    if (status === 429 || RATE_LIMIT_ERROR_CODES.includes(code) || /complexity budget|rate limit/i.test(message)) {
+      return new MondayRateLimitError(message, { ...options, retryAfterMs });
+    }
+    if (status === 401 || status === 403 || AUTH_ERROR_CODES.includes(code)) {
+      return new MondayAuthError(message, options);
+    }
+    if (status === 404 || NOT_FOUND_ERROR_CODES.includes(code)) {
+      return new MondayNotFoundError(message, options);
+    }
+    if (status >= 500) {
+      return new MondayApiError(message, { ...options, retryable: true, retryAfterMs });
+    }
+
+    return new MondayValidationError(message, options);
+  }
+
+  /**
+   * Read the wait time from Retry-After, error extensions or the message ("reset in 13 seconds")
+   */
+  getRetryAfterMs(headers, extensions, message) {
+    const retryAfter = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) return seconds * 1000;
+
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const extensionSeconds = extensions.retry_in_seconds ?? extensions.reset_in_x_seconds;
+    if (typeof extensionSeconds === 'number') {
+      return extensionSeconds * 1000;
+    }
+
+    const match = /reset in (\d+) seconds?/i.exec(message || '');
+    if (match) {
+      return parseInt(match[1], 10) * 1000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remember the complexity budget from a query that selected { before after reset_in_x_seconds }
+   */
+  recordComplexity(complexity) {
+    this.complexity = {
+      remaining: complexity.after,
+      resetAt: Date.now() + (complexity.reset_in_x_seconds || 60) * 1000,
+      lastCost: Math.max(0, (complexity.before || 0) - (complexity.after || 0))
+    };
+  }
+
+  /**
+   * Wait for the budget to reset when the next query would likely exceed it
+   */
+  async throttleForComplexity(expectedCost = this.complexity.lastCost) {
+    const { remaining, resetAt } = this.complexity;
+    if (remaining === null || remaining >= expectedCost * 1.5) return;
+
+    const waitMs = resetAt - Date.now();
+    if (waitMs <= 0) return;
+
+    logger.warn('Complexity budget low, waiting', { remaining, expectedCost, waitMs });
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    this.complexity.remaining = null;
+  }
+
   /**
    * Update Monday.com board item with extracted data
    */
   async updateMondayBoard(boardId, itemId, extractedData) {
     // Map extracted data to Monday columns
-    const columnValues = this.mapDataToColumns(extractedData);
+    const columnValues = await this.getColumnValues(boardId, extractedData);
 
     const query = `
       mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
@@ -80,16 +238,62 @@ class MondayController {
     };
 
     const result = await this.executeQuery(query, variables);
-    console.log(`  💾 Monday.com updated`);
+    logger.info('Monday.com item updated', { boardId: String(boardId), itemId: String(itemId) });
 
     return result;
   }
 
+  /**
+   * Set a status column label (label is created on the column if missing)
+   */
+  async setItemStatus(boardId, itemId, columnId, label) {
+    const query = `
+      mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+        change_multiple_column_values(
+          board_id: $boardId,
+          item_id: $itemId,
+          column_values: $columnValues,
+          create_labels_if_missing: true
+        ) {
+          id
+        }
+      }
+    `;
+
+    const variables = {
+      boardId: boardId.toString(),
+      itemId: itemId.toString(),
+      columnValues: JSON.stringify({ [columnId]: { label } })
+    };
+
+    return await this.executeQuery(query, variables);
+  }
+
+  /**
+   * Post an update (comment) on an item
+   */
+  async createItemUpdate(itemId, body) {
+    const query = `
+      mutation ($itemId: ID!, $body: String!) {
+        create_update(item_id: $itemId, body: $body) {
+          id
+        }
+      }
+    `;
+
+    const variables = {
+      itemId: itemId.toString(),
+      body
+    };
+
+    return await this.executeQuery(query, variables);
+  }
+
   /**
    * Create a new item on Monday.com board with extracted data
    */
   async createMondayItem(boardId, itemName, extractedData) {
-    const columnValues = this.mapDataToColumns(extractedData);
+    const columnValues = await this.getColumnValues(boardId, extractedData);
 
     const query = `
       mutation ($boardId: ID!, $itemName: String!, $columnValues: JSON!) {
@@ -140,64 +344,156 @@ class MondayController {
     };
 
     const result = await this.executeQuery(query, variables);
+
+    if (!result.boards || result.boards.length === 0) {
+      throw new MondayNotFoundError(`Board ${boardId} not found`);
+    }
+
     return result.boards[0].columns;
   }
 
+  /**
+   * Check a board's column mapping against its real columns
+   * Problems are cached so writes to a misconfigured board are refused
+   */
+  async validateBoardMapping(boardId) {
+    const columns = await this.getBoardColumns(boardId);
+    const problems = boardConfig.checkColumns(boardId, columns);
+    const columnTypes = new Map(columns.map(column => [column.id, column.type]));
+
+    this.boardMappings.set(String(boardId), { columnTypes, problems });
+
+    if (problems.length > 0) {
+      logger.error('Board mapping invalid', { boardId: String(boardId), problems });
+    } else {
+      logger.info('Board mapping valid', { boardId: String(boardId) });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate the mapping once per board, then map extracted data to column values
+   */
+  async getColumnValues(boardId, extractedData) {
+    if (!this.boardMappings.has(String(boardId))) {
+      await this.validateBoardMapping(boardId);
+    }
+
+    const { problems } = this.boardMappings.get(String(boardId));
+    if (problems.length > 0) {
+      // Problems are cached until restart, so retrying the job can't succeed
+      throw new MondayValidationError(`Board ${boardId} column mapping is invalid: ${problems.join('; ')}`, { details: problems });
+    }
+
+    return this.mapDataToColumns(extractedData, boardId);
+  }
+
   /**
    * Map extracted data to Monday.com column format
-   * Configured for invoice processing
+   * Target columns come from the board config, adjusted for the document type
    */
-  mapDataToColumns(extractedData) {
+  mapDataToColumns(extractedData, boardId) {
+    const board = boardConfig.getBoard(boardId);
+    const mapping = this.boardMappings.get(board.boardId);
+    const { columns, values } = boardConfig.getDocumentMapping(board.boardId, extractedData.documentType, extractedData.documentCategory);
     const columnValues = {};
 
-    // I8 → numeric_mkwbrpmz (Total with tax)
-    if (extractedData.totalValue !== null && extractedData.totalValue !== undefined) {
-      columnValues['numeric_mkwbrpmz'] = extractedData.totalValue;
-    }
+    for (const [field, columnId] of Object.entries(columns)) {
+      const value = this.getFieldValue(extractedData, field);
+      if (value === null || value === undefined || value === '') continue;
 
-    // G → text_mkwb4nns (Invoice number)
-    if (extractedData.invoiceNumber) {
-      columnValues['text_mkwb4nns'] = extractedData.invoiceNumber;
+      const columnType = mapping ? mapping.columnTypes.get(columnId) : null;
+      columnValues[columnId] = this.formatColumnValue(value, columnType, boardConfig.fieldTypes[field]);
     }
 
-    // Supplier name → text_mkwbcyg3
-    if (extractedData.supplierName) {
-      columnValues['text_mkwbcyg3'] = extractedData.supplierName;
+    // Fixed labels for this document type (e.g. a "Credit note" status)
+    for (const [columnId, value] of Object.entries(values)) {
+      const columnType = mapping ? mapping.columnTypes.get(columnId) : null;
+      columnValues[columnId] = this.formatColumnValue(value, columnType, 'text');
     }
 
-    // A → text_mkwbb9 (Customer NIF)
-    if (extractedData.customerNIF) {
-      columnValues['text_mkwbb9'] = extractedData.customerNIF;
+    // Link to the supplier's item on the Suppliers board (registry entries with a Monday item)
+    if (board.supplierColumn && extractedData.supplierItemId) {
+      columnValues[board.supplierColumn] = { item_ids: [Number(extractedData.supplierItemId)] };
     }
 
     return columnValues;
   }
 
+  /**
+   * Read a mappable field from extracted data
+   */
+  getFieldValue(extractedData, field) {
+    // Validation confidence (0-1) is written as a 0-100 score
+    if (field === 'confidence') {
+      return extractedData.validation ? Math.round(extractedData.validation.confidence * 100) : null;
+    }
+
+    return extractedData[field];
+  }
+
+  /**
+   * Format a value for the target column type (falls back to the field kind when the type is unknown)
+   */
+  formatColumnValue(value, columnType, fieldType) {
+    switch (columnType || fieldType) {
+      case 'numbers':
+      case 'number':
+        return value;
+      case 'date':
+        return { date: value };
+      case 'long_text':
+        return { text: String(value) };
+      case 'status':
+        return { label: String(value) };
+      case 'dropdown':
+        return { labels: [String(value)] };
+      default:
+        return String(value);
+    }
+  }
+
   /**
    * Upload file to Monday.com
    */
-  async uploadFileToMonday(itemId, columnId = null, filePath) {
-    const fs = require('fs');
+  async uploadFileToMonday(itemId, columnId = null, filePath, fileName = null) {
     const FormData = require('form-data');
 
     // Use default file column if not specified
-    const targetColumnId = columnId || this.fileColumnId;
+    const targetColumnId = columnId || boardConfig.getBoard().fileColumn;
 
     const form = new FormData();
-    form.append('query', `mutation ($file: File!) { add_file_to_column (item_id: ${itemId}, column_id: "${targetColumnId}", file: $file) { id } }`);
-    form.append('variables[file]', fs.createReadStream(filePath));
+    form.append('query', 'mutation ($itemId: ID!, $columnId: String!, $file: File!) { add_file_to_column (item_id: $itemId, column_id: $columnId, file: $file) { id } }');
+    form.append('variables', JSON.stringify({ itemId: String(itemId), columnId: targetColumnId }));
+    form.append('map', JSON.stringify({ file: 'variables.file' }));
+    // Uploaded temp files have no extension - keep the original name on Monday
+    form.append('file', fs.createReadStream(filePath), { filename: fileName || path.basename(filePath) });
 
     try {
-      const response = await axios.post(this.apiUrl, form, {
+      // Files go to the dedicated /file endpoint
+      const response = await axios.post(`${this.apiUrl.replace(/\/$/, '')}/file`, form, {
         headers: {
           ...form.getHeaders(),
-          'Authorization': this.apiToken
-        }
+          'Authorization': this.apiToken,
+          'API-Version': '2024-01'
+        },
+        maxBodyLength: Infinity
       });
 
+      if (response.data.errors || response.data.error_code) {
+        throw this.toMondayError(null, response.data, response.status, response.headers);
+      }
+
+      metrics.recordMondayCall('mutation:add_file_to_column');
       return response.data;
-    } catch (error) {
-      console.error('File upload error:', error.message);
+    } catch (rawError) {
+      const error = rawError instanceof MondayApiError
+        ? rawError
+        : this.toMondayError(rawError, rawError.response && rawError.response.data, rawError.response && rawError.response.status, rawError.response && rawError.response.headers);
+
+      metrics.recordMondayCall('mutation:add_file_to_column', error);
+      logger.error('File upload error', { itemId: String(itemId), error });
       throw error;
     }
   }
@@ -205,30 +501,139 @@ class MondayController {
   /**
    * Create item and upload file in one operation
    */
-  async createItemWithFile(itemName, filePath, extractedData = null) {
+  async createItemWithFile(itemName, filePath, extractedData = null, boardId = boardConfig.defaultBoardId, fileName = null) {
     // Create new item
     const item = await this.createMondayItem(
-      this.defaultBoardId,
+      boardId,
       itemName,
       extractedData || {}
     );
 
     // Upload file to the item
-    await this.uploadFileToMonday(item.create_item.id, this.fileColumnId, filePath);
+    await this.uploadFileToMonday(item.create_item.id, boardConfig.getBoard(boardId).fileColumn, filePath, fileName);
 
     return item;
   }
 
   /**
-   * Get item files from the arquivos column
+   * Look for another item on the board holding the same invoice
+   * Match on the ATCUD column, or on invoice number + issuer NIF (invoice number + total when no NIF column is mapped)
+   * Returns { id, name, url, matchedOn } or null; needs the relevant fields mapped to columns
    */
-  async getItemFiles(itemId) {
+  async findDuplicateItem(boardId, itemId, extractedData) {
+    const columns = boardConfig.getBoard(boardId).columns || {};
+    const candidates = [];
+
+    if (columns.atcud && extractedData.atcud && extractedData.atcud !== '0') {
+      const items = await this.findItemsByColumnValue(boardId, columns.atcud, extractedData.atcud, []);
+      candidates.push(...items.map(item => ({ item, matchedOn: 'atcud' })));
+    }
+
+    if (candidates.length === 0 && columns.invoiceNumber && extractedData.invoiceNumber) {
+      const checkColumn = columns.issuerNIF && extractedData.issuerNIF ? columns.issuerNIF : columns.totalValue;
+      const expected = checkColumn === columns.issuerNIF ? extractedData.issuerNIF : extractedData.totalValue;
+
+      if (checkColumn && expected !== null && expected !== undefined) {
+        const items = await this.findItemsByColumnValue(boardId, columns.invoiceNumber, extractedData.invoiceNumber, [checkColumn]);
+        const matchedOn = checkColumn === columns.issuerNIF ? 'issuerNIF+invoiceNumber' : 'invoiceNumber+totalValue';
+
+        items
+          .filter(item => {
+            const column = item.column_values.find(col => col.id === checkColumn);
+            const text = column && column.text ? column.text.trim() : '';
+            return matchedOn === 'issuerNIF+invoiceNumber'
+              ? text === String(expected)
+              : text !== '' && Math.abs(parseFloat(text) - Number(expected)) < 0.01;
+          })
+          .forEach(item => candidates.push({ item, matchedOn }));
+      }
+    }
+
+    const match = candidates.find(candidate => String(candidate.item.id) !== String(itemId));
+    if (!match) return null;
+
+    return {
+      id: match.item.id,
+      name: match.item.name,
+      url: match.item.url || null,
+      matchedOn: match.matchedOn
+    };
+  }
+
+  /**
+   * Items on a board whose column equals a value (items_page_by_column_values)
+   */
+  async findItemsByColumnValue(boardId, columnId, value, extraColumnIds = []) {
+    const query = `
+      query ($boardId: ID!, $columns: [ItemsPageByColumnValuesQuery!], $columnIds: [String!]) {
+        items_page_by_column_values(board_id: $boardId, limit: 50, columns: $columns) {
+          items {
+            id
+            name
+            url
+            column_values(ids: $columnIds) {
+              id
+              text
+            }
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      boardId: boardId.toString(),
+      columns: [{ column_id: columnId, column_values: [String(value)] }],
+      columnIds: extraColumnIds
+    };
+
+    const result = await this.executeQuery(query, variables);
+    return (result.items_page_by_column_values && result.items_page_by_column_values.items) || [];
+  }
+
+  /**
+   * Point a duplicate item at the original through a link, connect-boards or text column
+   */
+  async setDuplicateOf(boardId, itemId, columnId, original) {
+    if (!this.boardMappings.has(String(boardId))) {
+      await this.validateBoardMapping(boardId);
+    }
+
+    const columnType = this.boardMappings.get(String(boardId)).columnTypes.get(columnId);
+    let value;
+
+    if (columnType === 'board_relation') {
+      value = { item_ids: [Number(original.id)] };
+    } else if (columnType === 'link') {
+      value = { url: original.url, text: original.name || `#${original.id}` };
+    } else {
+      value = original.url || String(original.id);
+    }
+
     const query = `
-      query ($itemId: [ID!]) {
+      mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+        change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $columnValues) {
+          id
+        }
+      }
+    `;
+
+    return await this.executeQuery(query, {
+      boardId: boardId.toString(),
+      itemId: itemId.toString(),
+      columnValues: JSON.stringify({ [columnId]: value })
+    });
+  }
+
+  /**
+   * Get item files from the board's file column (arquivos by default)
+   */
+  async getItemFiles(itemId, fileColumnId = boardConfig.getBoard().fileColumn) {
+    const query = `
+      query ($itemId: [ID!], $fileColumnId: [String!]) {
         items(ids: $itemId) {
           id
           name
-          column_values(ids: ["arquivos"]) {
+          column_values(ids: $fileColumnId) {
             id
             value
             text
@@ -238,17 +643,18 @@ class MondayController {
     `;
 
     const variables = {
-      itemId: [itemId.toString()]
+      itemId: [itemId.toString()],
+      fileColumnId: [fileColumnId]
     };
 
     const result = await this.executeQuery(query, variables);
 
     if (!result.items || result.items.length === 0) {
-      return null;
+      throw new MondayNotFoundError(`Item ${itemId} not found`);
     }
 
     const item = result.items[0];
-    const fileColumn = item.column_values.find(col => col.id === 'arquivos');
+    const fileColumn = item.column_values.find(col => col.id === fileColumnId);
 
     if (!fileColumn || !fileColumn.value) {
       return { files: [] };
@@ -259,7 +665,7 @@ class MondayController {
     try {
       fileData = JSON.parse(fileColumn.value);
     } catch (e) {
-      console.error('Error parsing file column value:', fileColumn.value);
+      logger.error('Error parsing file column value', { itemId: String(itemId), value: fileColumn.value });
       return { files: [] };
     }
 
@@ -280,81 +686,118 @@ class MondayController {
   }
 
   /**
-   * Download a file from Monday.com
+   * Download a file into uploads/, following redirects, within the size and time limits
+   * The partial file is removed on every failure
    */
   async downloadFile(fileUrl, fileName) {
-    const fs = require('fs');
-    const path = require('path');
-    const https = require('https');
-    const http = require('http');
-
-    return new Promise(async (resolve, reject) => {
-      // Check if fileUrl is valid
-      if (!fileUrl) {
-        return reject(new Error('File URL is undefined or empty'));
-      }
+    // Check if fileUrl is valid
+    if (!fileUrl) {
+      throw new Error('File URL is undefined or empty');
+    }
 
-      // If fileUrl is a number (asset ID), we need to get the actual URL from Monday.com
-      if (typeof fileUrl === 'number') {
-        console.log(`File URL is an asset ID: ${fileUrl}. Need to fetch actual URL from Monday.com API.`);
-        return reject(new Error(`Asset ID provided (${fileUrl}) instead of direct URL. Monday.com file columns changed - need to use Assets API.`));
+    // If fileUrl is a number (asset ID), we need to get the actual URL from Monday.com
+    if (typeof fileUrl === 'number') {
+      logger.warn('File URL is an asset ID, the actual URL must be fetched from the Assets API', { assetId: fileUrl });
+      throw new Error(`Asset ID provided (${fileUrl}) instead of direct URL. Monday.com file columns changed - need to use Assets API.`);
+    }
+
+    const filePath = path.join('uploads', `${Date.now()}-${path.basename(String(fileName))}`);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.DOWNLOAD_TIMEOUT);
+
+    try {
+      const response = await this.openDownload(String(fileUrl), controller.signal);
+
+      const declaredSize = parseInt(response.headers['content-length'], 10);
+      if (declaredSize > this.DOWNLOAD_MAX_BYTES) {
+        response.destroy();
+        throw this.fileTooLargeError(fileName, declaredSize);
       }
 
-      // Convert to string if needed
-      const urlString = String(fileUrl);
+      // Count bytes as they arrive - Content-Length can be missing or wrong
+      let received = 0;
+      const limiter = new Transform({
+        transform: (chunk, encoding, callback) => {
+          received += chunk.length;
+          if (received > this.DOWNLOAD_MAX_BYTES) {
+            callback(this.fileTooLargeError(fileName, received));
+          } else {
+            callback(null, chunk);
+          }
+        }
+      });
 
-      const filePath = path.join('uploads', Date.now() + '-' + fileName);
-      const file = fs.createWriteStream(filePath);
+      await fs.promises.mkdir('uploads', { recursive: true });
+      await pipeline(response, limiter, fs.createWriteStream(filePath), { signal: controller.signal });
 
-      const protocol = urlString.startsWith('https') ? https : http;
+      logger.info('Downloaded file', { fileName, bytes: received });
+      return filePath;
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
 
-      // Check if URL is a pre-signed S3 URL (doesn't need auth header)
-      const isS3Url = urlString.includes('amazonaws.com') || urlString.includes('X-Amz-Signature');
+      if (controller.signal.aborted) {
+        throw new MondayApiError(`Download of ${fileName} timed out after ${this.DOWNLOAD_TIMEOUT / 1000}s`, {
+          code: 'DOWNLOAD_TIMEOUT',
+          retryable: true
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
-      const headers = {
-        'User-Agent': 'Mozilla/5.0'
-      };
+  /**
+   * GET a URL and follow redirects (up to DOWNLOAD_MAX_REDIRECTS), resolving with the 200 response
+   * Only direct Monday.com URLs get the API token - pre-signed S3 URLs and redirect targets don't
+   */
+  async openDownload(urlString, signal) {
+    let url = new URL(urlString);
+    const isS3Url = urlString.includes('amazonaws.com') || urlString.includes('X-Amz-Signature');
 
-      // Only add Authorization for Monday.com direct URLs, not S3 pre-signed URLs
-      if (!isS3Url) {
+    for (let redirects = 0; ; redirects++) {
+      const headers = { 'User-Agent': 'Mozilla/5.0' };
+      if (redirects === 0 && !isS3Url && this.apiToken) {
         headers['Authorization'] = this.apiToken;
       }
 
-      protocol.get(urlString, { headers }, (response) => {
-        // Follow redirects
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          const redirectProtocol = redirectUrl.startsWith('https') ? https : http;
-
-          // Don't send auth header for S3 redirects either
-          const redirectHeaders = { 'User-Agent': 'Mozilla/5.0' };
-
-          redirectProtocol.get(redirectUrl, { headers: redirectHeaders }, (redirectResponse) => {
-            redirectResponse.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              const stats = fs.statSync(filePath);
-              console.log(`  ⬇️  Downloaded: ${fileName} (${(stats.size / 1024).toFixed(1)}KB)`);
-              resolve(filePath);
-            });
-          }).on('error', reject);
-        } else if (response.statusCode === 200) {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            const stats = fs.statSync(filePath);
-            console.log(`  ⬇️  Downloaded: ${fileName} (${(stats.size / 1024).toFixed(1)}KB)`);
-            resolve(filePath);
-          });
-        } else {
-          file.close();
-          fs.unlink(filePath, () => {});
-          reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-        }
-      }).on('error', (err) => {
-        fs.unlink(filePath, () => {}); // Delete the file on error
-        reject(err);
+      const response = await new Promise((resolve, reject) => {
+        const protocol = url.protocol === 'https:' ? https : http;
+        protocol.get(url, { headers, signal }, resolve).on('error', reject);
       });
+
+      const { statusCode } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode)) {
+        response.resume();
+
+        if (!response.headers.location) {
+          throw new MondayApiError(`HTTP ${statusCode} without a Location header`, { status: statusCode });
+        }
+        if (redirects >= this.DOWNLOAD_MAX_REDIRECTS) {
+          throw new MondayApiError(`Too many redirects (${this.DOWNLOAD_MAX_REDIRECTS}) downloading ${urlString}`, { status: statusCode });
+        }
+
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        throw new MondayApiError(`HTTP ${statusCode}: ${response.statusMessage}`, {
+          status: statusCode,
+          retryable: statusCode === 429 || statusCode >= 500
+        });
+      }
+
+      return response;
+    }
+  }
+
+  fileTooLargeError(fileName, size) {
+    return new MondayApiError(`${fileName} is larger than the ${(this.DOWNLOAD_MAX_BYTES / 1024 / 1024).toFixed(0)}MB download limit (${(size / 1024 / 1024).toFixed(1)}MB)`, {
+      code: 'FILE_TOO_LARGE',
+      retryable: false
     });
   }
 
@@ -395,62 +838,192 @@ class MondayController {
         return url;
       }
 
-      throw new Error(`Asset ${assetId} not found`);
+      throw new MondayNotFoundError(`Asset ${assetId} not found`);
     } catch (error) {
-      console.error(`Error fetching asset URL: ${error.message}`);
+      logger.error('Error fetching asset URL', { assetId, error });
       throw error;
     }
   }
 
   /**
-   * Get all items from a board where status column is "Feito"
+   * Get items from a board matching the given filters
+   *   status       - status label to match (defaults to the board's done label, "Feito"); "any" disables it
+   *   groupId      - only items in this group
+   *   dateFrom/To  - item creation date range (YYYY-MM-DD, inclusive)
+   *   missingColumn - only items where this column (ID or mapped field name) is empty
+   *
+   * Follows items_page cursors, so boards of any size are read completely.
+   * Status, group and missing-column filters run server-side (query_params); the date range is checked here.
    */
-  async getAllBoardItems(boardId) {
-    const query = `
-      query ($boardId: [ID!]) {
-        boards(ids: $boardId) {
-          items_page {
-            items {
-              id
-              name
-              column_values(ids: ["color_mkwb6j7j"]) {
-                id
-                text
-                value
-              }
-            }
-          }
-        }
+  async getAllBoardItems(boardId, filters = {}) {
+    const board = boardConfig.getBoard(boardId);
+    const statusColumn = board.statusColumn;
+    const statusLabel = filters.status === undefined || filters.status === null ? board.statusDoneLabel : filters.status;
+    const missingColumn = filters.missingColumn ? ((board.columns || {})[filters.missingColumn] || filters.missingColumn) : null;
+    const columnIds = [statusColumn, missingColumn].filter(Boolean);
+
+    const itemFields = `
+      id
+      name
+      created_at
+      group {
+        id
+      }
+      column_values(ids: $columnIds) {
+        id
+        text
+        value
       }
     `;
 
-    const variables = {
-      boardId: [boardId.toString()]
-    };
-
     try {
-      const result = await this.executeQuery(query, variables);
+      const rules = await this.buildItemRules(boardId, { statusColumn, statusLabel, missingColumn, groupId: filters.groupId });
+      if (rules === null) {
+        logger.warn('Status label does not exist on board', { statusLabel, boardId: String(boardId) });
+        return [];
+      }
+
+      const firstPageQuery = `
+        query ($boardId: [ID!], $columnIds: [String!], $limit: Int!, $queryParams: ItemsQuery) {
+          complexity { before after reset_in_x_seconds }
+          boards(ids: $boardId) {
+            items_page(limit: $limit, query_params: $queryParams) {
+              cursor
+              items { ${itemFields} }
+            }
+          }
+        }
+      `;
+
+      const nextPageQuery = `
+        query ($cursor: String!, $columnIds: [String!], $limit: Int!) {
+          complexity { before after reset_in_x_seconds }
+          next_items_page(limit: $limit, cursor: $cursor) {
+            cursor
+            items { ${itemFields} }
+          }
+        }
+      `;
+
+      await this.throttleForComplexity();
+      const result = await this.executeQuery(firstPageQuery, {
+        boardId: [boardId.toString()],
+        columnIds,
+        limit: this.ITEMS_PAGE_LIMIT,
+        queryParams: rules.length > 0 ? { rules, operator: 'and' } : null
+      });
 
       if (!result.boards || result.boards.length === 0) {
         return [];
       }
 
-      const allItems = result.boards[0].items_page.items;
+      const allItems = [...result.boards[0].items_page.items];
+      let cursor = result.boards[0].items_page.cursor;
 
-      // Filter items where status column is "Feito"
-      const feitoItems = allItems.filter(item => {
-        const statusColumn = item.column_values.find(col => col.id === 'color_mkwb6j7j');
-        return statusColumn && statusColumn.text === 'Feito';
-      });
+      while (cursor) {
+        await this.throttleForComplexity();
+        const page = await this.executeQuery(nextPageQuery, {
+          cursor,
+          columnIds,
+          limit: this.ITEMS_PAGE_LIMIT
+        });
+
+        allItems.push(...page.next_items_page.items);
+        cursor = page.next_items_page.cursor;
+        logger.debug('Fetched board items page', { fetched: allItems.length });
+      }
 
-      console.log(`Found ${feitoItems.length} items with status "Feito" out of ${allItems.length} total items`);
+      const matchingItems = allItems.filter(item => this.matchesItemFilters(item, {
+        statusColumn,
+        statusLabel,
+        missingColumn,
+        groupId: filters.groupId,
+        dateFrom: filters.dateFrom,
+        dateTo: filters.dateTo
+      }));
 
-      return feitoItems;
+      logger.info('Matching board items', { matching: matchingItems.length, returned: allItems.length });
+
+      return matchingItems;
     } catch (error) {
-      console.error('Error fetching board items:', error);
+      logger.error('Error fetching board items', { boardId: String(boardId), error });
       throw error;
     }
   }
+
+  /**
+   * Build items_page query_params rules
+   * Status labels are matched by index (from the column settings); returns null if the label doesn't exist
+   */
+  async buildItemRules(boardId, { statusColumn, statusLabel, missingColumn, groupId }) {
+    const rules = [];
+
+    if (statusLabel && statusLabel !== 'any') {
+      const columns = await this.getBoardColumns(boardId);
+      const column = columns.find(col => col.id === statusColumn);
+      const labelIndex = column ? this.getStatusLabelIndex(column, statusLabel) : null;
+
+      if (labelIndex === null) {
+        return null;
+      }
+      rules.push({ column_id: statusColumn, compare_value: [labelIndex], operator: 'any_of' });
+    }
+
+    if (groupId) {
+      rules.push({ column_id: 'group', compare_value: [groupId], operator: 'any_of' });
+    }
+
+    if (missingColumn) {
+      rules.push({ column_id: missingColumn, compare_value: [], operator: 'is_empty' });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Find the index of a status label in the column's settings_str ({ "labels": { "1": "Feito" } })
+   */
+  getStatusLabelIndex(column, label) {
+    try {
+      const settings = JSON.parse(column.settings_str || '{}');
+      const entry = Object.entries(settings.labels || {}).find(([, text]) => text === label);
+      return entry ? parseInt(entry[0], 10) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Client-side item filters for getAllBoardItems
+   */
+  matchesItemFilters(item, { statusColumn, statusLabel, missingColumn, groupId, dateFrom, dateTo }) {
+    const columnText = columnId => {
+      const column = item.column_values.find(col => col.id === columnId);
+      return column && column.text ? column.text.trim() : '';
+    };
+
+    if (statusLabel && statusLabel !== 'any' && columnText(statusColumn) !== statusLabel) {
+      return false;
+    }
+
+    if (groupId && (!item.group || item.group.id !== groupId)) {
+      return false;
+    }
+
+    const createdDate = item.created_at ? item.created_at.substring(0, 10) : null;
+    if (dateFrom && (!createdDate || createdDate < dateFrom)) {
+      return false;
+    }
+    if (dateTo && (!createdDate || createdDate > dateTo)) {
+      return false;
+    }
+
+    if (missingColumn && columnText(missingColumn) !== '') {
+      return false;
+    }
+
+    return true;
+  }
 }
 
 module.exports = new MondayController();
@@ -0,0 +1,51 @@
+/**
+ * Typed Monday.com API errors
+ * retryable tells callers (the job queue, processItemExtraction) whether trying again can help
+ */
+class MondayApiError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, retryAfterMs = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+  }
+}
+
+// Invalid/expired token or missing permissions
+class MondayAuthError extends MondayApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+  }
+}
+
+// Board, item or asset does not exist (or is not visible to the token)
+class MondayNotFoundError extends MondayApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+  }
+}
+
+// HTTP 429, complexity budget or minute limit exhausted - retry after retryAfterMs
+class MondayRateLimitError extends MondayApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+  }
+}
+
+// Malformed query, bad column value or invalid argument - retrying won't help
+class MondayValidationError extends MondayApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+  }
+}
+
+module.exports = {
+  MondayApiError,
+  MondayAuthError,
+  MondayNotFoundError,
+  MondayRateLimitError,
+  MondayValidationError
+};
@@ -0,0 +1,32 @@
+/**
+ * Errors raised by the extraction worker pool
+ * retryable follows the same contract as the Monday.com errors: false when trying the same file again can't help
+ */
+class WorkerPoolError extends Error {
+  constructor(message, { code = null, retryable = true } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// The job ran past WORKER_JOB_TIMEOUT_MS and its worker was terminated
+class WorkerTimeoutError extends WorkerPoolError {
+  constructor(message) {
+    super(message, { code: 'WORKER_TIMEOUT', retryable: false });
+  }
+}
+
+// The worker hit its WORKER_MAX_MEMORY_MB heap limit
+class WorkerMemoryError extends WorkerPoolError {
+  constructor(message) {
+    super(message, { code: 'WORKER_OUT_OF_MEMORY', retryable: false });
+  }
+}
+
+module.exports = {
+  WorkerPoolError,
+  WorkerTimeoutError,
+  WorkerMemoryError
+};
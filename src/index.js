@@ -1,27 +1,63 @@
 require('dotenv').config();
 const express = require('express');
+const multer = require('multer');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const fileController = require('./controllers/fileController');
 const mondayController = require('./controllers/mondayController');
+const invoiceValidator = require('./services/invoiceValidator');
+const boardConfig = require('./config/boardConfig');
+const jobQueue = require('./services/jobQueue');
+const webhookAuth = require('./middleware/webhookAuth');
+const apiKeyAuth = require('./middleware/apiKeyAuth');
+const statusReporter = require('./services/statusReporter');
+const supplierRegistry = require('./services/supplierRegistry');
+const workerPool = require('./services/workerPool');
+const logger = require('./utils/logger');
+const metrics = require('./services/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Processing queue to prevent concurrent overload
-let processingQueue = [];
-let activeProcessors = 0;
-const MAX_CONCURRENT_PROCESSORS = 5; // Process 5 items concurrently (optimal balance for 8GB RAM)
+// Behind Railway/Render proxies req.ip needs this to be the client IP (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(express.json());
 
+// Correlation id on every log line written while handling a request
+app.use((req, res, next) => {
+  const requestId = req.get('x-request-id') || crypto.randomUUID();
+  res.set('x-request-id', requestId);
+  logger.runWithContext({ requestId }, next);
+});
+
 // Create uploads directory if it doesn't exist
 if (!fs.existsSync('uploads')) {
   fs.mkdirSync('uploads');
 }
 
+// Multipart uploads for the direct upload API (field name: "file")
+const upload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 20 * 1024 * 1024 } // 20MB
+});
+
+function uploadSingleFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
+}
+
 // Monday.com webhook endpoint
-app.post('/api/monday-webhook', async (req, res) => {
+app.post('/api/monday-webhook', webhookAuth.middleware, async (req, res) => {
   try {
     const { event, challenge } = req.body;
 
@@ -36,121 +72,384 @@ app.post('/api/monday-webhook', async (req, res) => {
       const actualItemId = pulseId || itemId;
 
       // Check if it's our extraction trigger
-      if (columnId === 'button_mkwbdw8s' || columnId === 'color_mkwb6j7j') {
+      if (boardConfig.isTriggerColumn(boardId, columnId)) {
         // Add to queue instead of processing immediately
-        addToQueue(actualItemId, boardId);
+        const { duplicate } = jobQueue.enqueue(actualItemId, boardId);
 
-        return res.json({ success: true, message: 'Added to processing queue' });
+        return res.json({ success: true, message: duplicate ? 'Already in processing queue' : 'Added to processing queue' });
       }
     }
 
     res.json({ success: true });
   } catch (error) {
-    console.error('Webhook error:', error);
+    logger.error('Webhook error', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add item to processing queue
-function addToQueue(itemId, boardId) {
-  processingQueue.push({ itemId, boardId });
-  console.log(`\n${'='.repeat(80)}\n📥 QUEUE: Added item ${itemId} | Queue size: ${processingQueue.length}\n${'='.repeat(80)}`);
+// Direct upload: extract a file and return the JSON (nothing is written to Monday)
+app.post('/api/extract', apiKeyAuth.middleware, uploadSingleFile, (req, res) => fileController.processFile(req, res));
 
-  // Start processors if we have capacity
-  startProcessors();
-}
-
-// Start processors up to max concurrent limit
-function startProcessors() {
-  while (activeProcessors < MAX_CONCURRENT_PROCESSORS && processingQueue.length > 0) {
-    activeProcessors++;
-    console.log(`🚀 Processor #${activeProcessors} started | Active: ${activeProcessors}/${MAX_CONCURRENT_PROCESSORS}`);
-    processQueue().catch(error => {
-      console.error(`\n❌ FATAL: Queue processor crashed\n   Error: ${error.message}\n`);
-    });
+// Direct upload: extract a file, create an item with the mapped columns and attach the original file
+// Multipart fields: file, boardId (optional, default board), itemName (optional, defaults to the invoice number)
+app.post('/api/invoices', apiKeyAuth.middleware, uploadSingleFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
   }
-}
 
-// Process queue items continuously
-async function processQueue() {
   try {
-    while (processingQueue.length > 0) {
-      const { itemId, boardId } = processingQueue.shift();
-      const startTime = Date.now();
+    const boardId = req.body.boardId || boardConfig.defaultBoardId;
+
+    const extractedData = await fileController.extractData(req.file);
+    if (extractedData.entries) {
+      const source = extractedData.method === 'archive' ? 'ZIP archive' : 'XML file (SAF-T export)';
+      return res.status(400).json({
+        error: `This ${source} holds ${extractedData.entries.length} invoices - upload them one by one, or use /api/extract`
+      });
+    }
+    extractedData.validation = invoiceValidator.validate(extractedData);
+
+    const original = await mondayController.findDuplicateItem(boardId, null, extractedData);
+    if (original) {
+      return res.status(409).json({
+        error: 'Duplicate invoice',
+        duplicateOf: original,
+        data: extractedData
+      });
+    }
 
-      console.log(`\n🔵 START: Processing item ${itemId} | Queue: ${processingQueue.length} remaining | Active processors: ${activeProcessors}`);
+    const itemName = req.body.itemName || extractedData.invoiceNumber || req.file.originalname;
+    const item = await mondayController.createItemWithFile(itemName, req.file.path, extractedData, boardId, req.file.originalname);
 
-      try {
-        await processItemExtraction(itemId, boardId);
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ SUCCESS: Item ${itemId} completed in ${duration}s`);
-      } catch (error) {
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.error(`❌ FAILED: Item ${itemId} after ${duration}s\n   Error: ${error.message}`);
-      }
+    logger.info('Created item from upload', { itemId: item.create_item.id, boardId: String(boardId), fileName: req.file.originalname });
 
-      // Small delay between items
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-  } catch (processorError) {
-    console.error(`\n❌ FATAL: Processor crashed\n   Error: ${processorError.message}\n`);
+    res.status(201).json({
+      success: true,
+      boardId: String(boardId),
+      itemId: item.create_item.id,
+      itemName,
+      data: extractedData
+    });
+  } catch (error) {
+    logger.error('Invoice upload error', { error });
+    res.status(error.message.startsWith('Unsupported file type') ? 415 : 500).json({ error: error.message });
   } finally {
-    activeProcessors--;
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// Reprocess a whole board (or group) through the queue
+// Body: { boardId, groupId, status, dateFrom, dateTo, missingColumn, dryRun }
+app.post('/api/reprocess', apiKeyAuth.middleware, async (req, res) => {
+  try {
+    const { boardId, groupId, status, dateFrom, dateTo, missingColumn, dryRun } = req.body || {};
 
-    // Always restart processors if there are more items
-    if (processingQueue.length > 0 && activeProcessors < MAX_CONCURRENT_PROCESSORS) {
-      console.log(`🔄 RESTART: Queue has ${processingQueue.length} items remaining\n`);
-      startProcessors();
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    if ((dateFrom && !dateFormat.test(dateFrom)) || (dateTo && !dateFormat.test(dateTo))) {
+      return res.status(400).json({ error: 'dateFrom/dateTo must be YYYY-MM-DD' });
     }
+
+    const result = await processAllBoardItems(boardId || boardConfig.defaultBoardId, {
+      groupId,
+      status,
+      dateFrom,
+      dateTo,
+      missingColumn,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Reprocess error', { error });
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Process all items in a board
-async function processAllBoardItems(boardId) {
+// Supplier registry: issuer NIF → canonical name used to fill supplierName
+app.get('/api/suppliers', apiKeyAuth.middleware, (req, res) => {
+  res.json({ suppliers: supplierRegistry.list() });
+});
+
+app.get('/api/suppliers/:nif', apiKeyAuth.middleware, (req, res) => {
+  const supplier = supplierRegistry.get(req.params.nif);
+  if (!supplier) {
+    return res.status(404).json({ error: `Supplier ${req.params.nif} not found` });
+  }
+  res.json(supplier);
+});
+
+// Body: { name, mondayItemId (Suppliers board item for the connect-boards link), metadata }
+app.put('/api/suppliers/:nif', apiKeyAuth.middleware, (req, res) => {
   try {
-    console.log(`📋 Processing all items in board: ${boardId}`);
+    const { name, mondayItemId, metadata } = req.body || {};
+    res.json(supplierRegistry.upsert(req.params.nif, { name, mondayItemId, metadata }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/suppliers/:nif', apiKeyAuth.middleware, (req, res) => {
+  if (!supplierRegistry.remove(req.params.nif)) {
+    return res.status(404).json({ error: `Supplier ${req.params.nif} not found` });
+  }
+  res.status(204).end();
+});
+
+// QR decode telemetry: success per strategy, module size and decoder, and the resulting attempt order
+app.get('/api/qr-stats', apiKeyAuth.middleware, (req, res) => {
+  res.json(fileController.getQrStats());
+});
 
-    // Get all items from the board
-    const items = await mondayController.getAllBoardItems(boardId);
+// Processing queue: list, inspect, retry and cancel jobs
+// Query: status (comma-separated), itemId, boardId, limit
+app.get('/api/jobs', apiKeyAuth.middleware, (req, res) => {
+  const { status, itemId, boardId, limit } = req.query;
+
+  res.json({
+    stats: { ...jobQueue.getStats(), workers: workerPool.getStats() },
+    jobs: jobQueue.list({
+      status: status ? String(status).split(',') : null,
+      itemId,
+      boardId,
+      limit: Math.min(parseInt(limit, 10) || 100, 500)
+    })
+  });
+});
+
+app.get('/api/jobs/:id', apiKeyAuth.middleware, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json(job);
+});
 
-    if (!items || items.length === 0) {
-      console.log('⚠️ No items found in board');
-      return;
+app.post('/api/jobs/:id/:action(retry|cancel)', apiKeyAuth.middleware, (req, res) => {
+  try {
+    const job = req.params.action === 'retry' ? jobQueue.retry(req.params.id) : jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
     }
+    res.json(job);
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
 
-    console.log(`📝 Found ${items.length} items to process`);
+// Ops dashboard (static page); it calls the jobs API with the admin key entered in the page
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dashboard', 'index.html'));
+});
+
+// Queue every matching item in a board (dryRun only lists them)
+async function processAllBoardItems(boardId, filters = {}) {
+  try {
+    logger.info(filters.dryRun ? 'Dry run for board' : 'Reprocessing board', { boardId: String(boardId) });
+
+    // Get matching items from the board
+    const items = await mondayController.getAllBoardItems(boardId, filters);
+
+    const summary = {
+      boardId: String(boardId),
+      dryRun: Boolean(filters.dryRun),
+      matched: items.length,
+      queued: 0,
+      alreadyQueued: 0,
+      items: items.map(item => ({ id: item.id, name: item.name, groupId: item.group ? item.group.id : null }))
+    };
+
+    if (items.length === 0) {
+      logger.warn('No items found in board', { boardId: String(boardId) });
+      return summary;
+    }
+
+    logger.info('Found items to process', { count: items.length });
+
+    if (filters.dryRun) {
+      return summary;
+    }
 
-    // Process each item
     for (const item of items) {
-      await processItemExtraction(item.id, boardId);
+      const { duplicate } = jobQueue.enqueue(item.id, boardId);
+      if (duplicate) {
+        summary.alreadyQueued++;
+      } else {
+        summary.queued++;
+      }
     }
 
-    console.log(`✅ Finished processing all ${items.length} items`);
+    logger.info('Board items queued', { queued: summary.queued, alreadyQueued: summary.alreadyQueued });
+
+    return summary;
   } catch (error) {
-    console.error('❌ Error processing board:', error);
+    logger.error('Error processing board', { boardId: String(boardId), error });
     throw error;
   }
 }
 
 // Process extraction for a Monday.com item
+// Scans every attached file and reports each distinct invoice found
 async function processItemExtraction(itemId, boardId) {
-  let filePath = null;
+  await statusReporter.markProcessing(boardId, itemId);
 
-  try {
-    // Get the item and its file column
-    const itemData = await mondayController.getItemFiles(itemId);
+  // Get the item and its file column
+  const itemData = await mondayController.getItemFiles(itemId, boardConfig.getBoard(boardId).fileColumn);
 
-    if (!itemData || !itemData.files || itemData.files.length === 0) {
-      console.log('  ⚠️  No files attached');
-      return;
+  if (!itemData || !itemData.files || itemData.files.length === 0) {
+    logger.warn('No files attached');
+    await statusReporter.markQrNotFound(boardId, itemId, []);
+    return [];
+  }
+
+  logger.info('Files attached', { count: itemData.files.length });
+
+  const invoices = [];
+  const seenInvoices = new Set();
+  const fileErrors = [];
+  // What was tried per file, reported on the item when nothing is found
+  const attempts = [];
+
+  for (const file of itemData.files) {
+    let extractedData;
+    try {
+      extractedData = await extractFile(file);
+    } catch (error) {
+      // Keep going - another attachment may still hold the invoice
+      fileErrors.push(error);
+      attempts.push({ fileName: file.name, method: 'download-or-extract-error', error: error.message });
+      continue;
+    }
+    if (!extractedData) {
+      attempts.push({ fileName: file.name, method: 'missing-url' });
+      continue;
+    }
+
+    // ZIP bundles hold one result per entry
+    const results = extractedData.entries
+      ? extractedData.entries.map(entry => ({ ...entry, fileName: `${file.name}/${entry.fileName}` }))
+      : [{ ...extractedData, fileName: file.name }];
+
+    for (const result of results) {
+      attempts.push({
+        fileName: result.fileName,
+        method: result.method,
+        error: result.error,
+        strategiesTried: result.strategiesTried
+      });
+
+      const hasData = result.totalValue || result.invoiceNumber || result.supplierName;
+      if (!hasData) {
+        logger.warn('No data extracted', { fileName: result.fileName, method: result.method });
+        continue;
+      }
+
+      // Same invoice attached twice (e.g. PDF + photo) counts once
+      const invoiceKey = getInvoiceKey(result);
+      if (seenInvoices.has(invoiceKey)) {
+        logger.info('File repeats an invoice already found', { fileName: result.fileName, invoiceKey });
+        continue;
+      }
+      seenInvoices.add(invoiceKey);
+
+      invoices.push(result);
+    }
+  }
+
+  if (invoices.length === 0) {
+    if (fileErrors.length > 0) {
+      throw fileErrors[0];
     }
+    logger.warn('No invoice data found on item');
+    await statusReporter.markQrNotFound(boardId, itemId, attempts);
+    return [];
+  }
+
+  invoices.forEach((invoice, index) => {
+    logger.info('Invoice found', {
+      index: index + 1,
+      count: invoices.length,
+      fileName: invoice.fileName,
+      method: invoice.method,
+      totalValue: invoice.totalValue ?? null,
+      invoiceNumber: invoice.invoiceNumber || null,
+      supplierName: invoice.supplierName || null
+    });
+  });
+
+  if (invoices.length > 1) {
+    logger.warn('Item holds several distinct invoices, writing the first one to the board', { count: invoices.length });
+  }
+
+  const extractedData = invoices[0];
+
+  // Validate before writing anything to the board
+  extractedData.validation = invoiceValidator.validate(extractedData);
+  const { warnings, confidence } = extractedData.validation;
+  if (warnings.length > 0) {
+    logger.info('Validation warnings', { confidence, warnings: warnings.map(w => w.message) });
+  }
+
+  // Suppliers resend invoices - never overwrite, flag the duplicate instead
+  const original = await mondayController.findDuplicateItem(boardId, itemId, extractedData);
+  if (original) {
+    logger.info('Duplicate invoice, not writing columns', { duplicateOf: original.id, matchedOn: original.matchedOn });
+    await statusReporter.markDuplicate(boardId, itemId, extractedData, original);
+    extractedData.duplicateOf = original;
+    return invoices;
+  }
+
+  // Update Monday.com item
+  await mondayController.updateMondayBoard(boardId, itemId, extractedData);
+  await statusReporter.markDone(boardId, itemId, invoices);
+
+  return invoices;
+}
+
+// What the jobs API shows for a completed job
+function summarizeInvoices(invoices) {
+  if (invoices.length === 0) {
+    return { method: 'not-found', invoiceCount: 0 };
+  }
 
-    const file = itemData.files[0];
-    console.log(`  📄 File: ${file.name}`);
+  const [first] = invoices;
+  return {
+    method: first.method || null,
+    invoiceCount: invoices.length,
+    invoiceNumber: first.invoiceNumber || null,
+    totalValue: first.totalValue ?? null,
+    duplicateOf: first.duplicateOf ? first.duplicateOf.id : null
+  };
+}
+
+// Queue handler: report the error on the item once the queue gives up on it
+async function processJob(job) {
+  try {
+    return summarizeInvoices(await processItemExtraction(job.itemId, job.boardId));
+  } catch (error) {
+    if (jobQueue.isFinalFailure(job, error)) {
+      await reportDeadJob(job, error);
+    }
+    throw error;
+  }
+}
+
+// Error status and update on the item of a dead-lettered job
+function reportDeadJob(job, error) {
+  return statusReporter.markError(job.boardId, job.itemId, error, job.attempts);
+}
+
+// Download and extract a single attached file
+async function extractFile(file) {
+  let filePath = null;
+
+  try {
+    logger.info('Processing file', { fileName: file.name });
 
     if (!file.url) {
-      console.log('  ❌ File URL missing');
-      return;
+      logger.warn('File URL missing', { fileName: file.name });
+      return null;
     }
 
     // If URL is an asset ID (number), get the actual URL first
@@ -161,25 +460,12 @@ async function processItemExtraction(itemId, boardId) {
 
     filePath = await mondayController.downloadFile(downloadUrl, file.name);
 
-    // Extract data
-    const extractedData = await fileController.extractData({
+    return await fileController.extractData({
       originalname: file.name,
       path: filePath
     });
-
-    // Log extracted data
-    const hasData = extractedData.totalValue || extractedData.invoiceNumber || extractedData.supplierName;
-    if (hasData) {
-      console.log(`  📊 Extracted: Total=${extractedData.totalValue || 'N/A'} | Invoice=${extractedData.invoiceNumber || 'N/A'} | Supplier=${extractedData.supplierName || 'N/A'}`);
-    } else {
-      console.log(`  ⚠️  No data extracted from QR code`);
-    }
-
-    // Update Monday.com item
-    await mondayController.updateMondayBoard(boardId, itemId, extractedData);
-
   } catch (error) {
-    console.error(`  ❌ Processing error: ${error.message}`);
+    logger.error('Processing error', { fileName: file.name, error });
     throw error;
   } finally {
     // Clean up downloaded file
@@ -187,17 +473,75 @@ async function processItemExtraction(itemId, boardId) {
       try {
         fs.unlinkSync(filePath);
       } catch (cleanupError) {
-        console.log(`  ⚠️  Cleanup failed: ${cleanupError.message}`);
+        logger.warn('Cleanup failed', { filePath, error: cleanupError });
       }
     }
   }
 }
 
+// Identify an invoice across files: ATCUD first, then issuer + number, then raw QR text
+function getInvoiceKey(extractedData) {
+  if (extractedData.atcud && extractedData.atcud !== '0') {
+    return `atcud:${extractedData.atcud}`;
+  }
+  if (extractedData.invoiceNumber) {
+    return `number:${extractedData.issuerNIF || ''}:${extractedData.invoiceNumber}`;
+  }
+  return `text:${extractedData.text || extractedData.totalValue}`;
+}
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🔘 Webhook: POST http://localhost:${PORT}/api/monday-webhook`);
+// Prometheus scrape endpoint (queue, extraction and Monday API metrics)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.contentType());
+    res.send(await metrics.render());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
 });
+
+// Check every configured board's column mapping before any write happens
+async function validateBoardMappings() {
+  for (const boardId of boardConfig.getConfiguredBoardIds()) {
+    try {
+      await mondayController.validateBoardMapping(boardId);
+    } catch (error) {
+      // Retried lazily on the first write to this board
+      logger.warn('Could not validate board mapping', { boardId: String(boardId), error });
+    }
+  }
+}
+
+// Listen and start the queue; requiring this file (tests) only builds the app
+function start() {
+  return app.listen(PORT, '0.0.0.0', () => {
+    logger.info('Server running', { port: Number(PORT), webhook: `POST http://localhost:${PORT}/api/monday-webhook` });
+    if (webhookAuth.authDisabled) {
+      logger.warn('WEBHOOK_AUTH_DISABLED=true - webhook signatures are NOT verified');
+    } else if (!webhookAuth.signingSecret) {
+      logger.warn('MONDAY_SIGNING_SECRET not set - webhook events will be rejected');
+    }
+    validateBoardMappings();
+
+    // Resume persisted jobs (including ones interrupted by the last shutdown)
+    jobQueue.start(processJob, reportDeadJob);
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  start,
+  processItemExtraction,
+  processJob,
+  reportDeadJob,
+  processAllBoardItems,
+  getInvoiceKey
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * API key check for admin endpoints (reprocessing, uploads, ...)
+ * Key comes from ADMIN_API_KEY and is sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * Without ADMIN_API_KEY the protected endpoints are disabled.
+ */
+class ApiKeyAuth {
+  constructor() {
+    this.apiKey = process.env.ADMIN_API_KEY || null;
+
+    this.middleware = this.middleware.bind(this);
+  }
+
+  middleware(req, res, next) {
+    if (!this.apiKey) {
+      return res.status(503).json({ error: 'Endpoint disabled: ADMIN_API_KEY is not configured' });
+    }
+
+    const header = req.headers.authorization || '';
+    const provided = req.headers['x-api-key'] || header.replace(/^Bearer\s+/i, '');
+
+    if (!provided || !this.matches(provided)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  }
+
+  /**
+   * Constant-time comparison (hash both sides so lengths always match)
+   */
+  matches(provided) {
+    const expected = crypto.createHash('sha256').update(this.apiKey).digest();
+    const actual = crypto.createHash('sha256').update(String(provided)).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = new ApiKeyAuth();
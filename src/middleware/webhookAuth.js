@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticity checks for the Monday.com webhook endpoint
+ *
+ * - Authorization header must hold a JWT signed (HS256) with the app signing secret (MONDAY_SIGNING_SECRET)
+ * - Expired tokens (exp, or iat older than WEBHOOK_TOKEN_MAX_AGE seconds) are rejected
+ * - Optional allowlists: WEBHOOK_IP_ALLOWLIST (IPs or IPv4 CIDRs) and WEBHOOK_BOARD_ALLOWLIST (board IDs)
+ *
+ * Without MONDAY_SIGNING_SECRET events are refused with 503, unless WEBHOOK_AUTH_DISABLED=true explicitly
+ * turns signature checks off (allowlists still apply).
+ */
+class WebhookAuth {
+  constructor() {
+    this.signingSecret = process.env.MONDAY_SIGNING_SECRET || null;
+    this.authDisabled = process.env.WEBHOOK_AUTH_DISABLED === 'true';
+    this.maxTokenAge = parseInt(process.env.WEBHOOK_TOKEN_MAX_AGE, 10) || 300; // seconds
+    this.clockTolerance = 30; // seconds
+    this.ipAllowlist = this.parseList(process.env.WEBHOOK_IP_ALLOWLIST);
+    this.boardAllowlist = this.parseList(process.env.WEBHOOK_BOARD_ALLOWLIST);
+
+    this.middleware = this.middleware.bind(this);
+  }
+
+  parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Express middleware: reject the request with 401/403 unless it passes every check
+   */
+  middleware(req, res, next) {
+    if (this.ipAllowlist.length > 0 && !this.isIpAllowed(req.ip)) {
+      logger.warn('Webhook rejected: IP not allowed', { ip: req.ip });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const body = req.body || {};
+
+    // The challenge handshake only echoes a value back, so it is answered even without a token
+    const isChallenge = body.challenge && !body.event;
+
+    if (!this.authDisabled && !isChallenge) {
+      if (!this.signingSecret) {
+        logger.warn('Webhook rejected: MONDAY_SIGNING_SECRET not set');
+        return res.status(503).json({ error: 'Webhook verification not configured' });
+      }
+
+      try {
+        req.webhookToken = this.verifyToken(req.headers.authorization, this.signingSecret);
+      } catch (error) {
+        logger.warn('Webhook rejected', { reason: error.message });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+
+    const boardId = body.event && body.event.boardId;
+    if (this.boardAllowlist.length > 0 && boardId && !this.boardAllowlist.includes(String(boardId))) {
+      logger.warn('Webhook rejected: board not allowed', { boardId: String(boardId) });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    next();
+  }
+
+  /**
+   * Verify an HS256 JWT and return its payload (throws on any problem)
+   */
+  verifyToken(authorization, secret, now = Date.now()) {
+    if (!authorization) {
+      throw new Error('missing Authorization header');
+    }
+
+    // Monday sends the bare token, but accept "Bearer <token>" too
+    const token = authorization.replace(/^Bearer\s+/i, '').trim();
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new Error('malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    } catch (error) {
+      throw new Error('malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+      throw new Error(`unsupported algorithm ${header.alg}`);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest();
+    const actual = Buffer.from(signature, 'base64url');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new Error('invalid signature');
+    }
+
+    const nowSeconds = Math.floor(now / 1000);
+
+    if (typeof payload.exp === 'number' && nowSeconds > payload.exp + this.clockTolerance) {
+      throw new Error('token expired');
+    }
+    if (typeof payload.iat === 'number' && nowSeconds > payload.iat + this.maxTokenAge + this.clockTolerance) {
+      throw new Error('token too old');
+    }
+    if (typeof payload.exp !== 'number' && typeof payload.iat !== 'number') {
+      throw new Error('token has no exp or iat');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Match an IP against exact addresses and IPv4 CIDR ranges
+   */
+  isIpAllowed(ip) {
+    if (!ip) return false;
+
+    // Express reports IPv4 clients as IPv4-mapped IPv6 (::ffff:1.2.3.4)
+    const address = ip.replace(/^::ffff:/, '');
+
+    return this.ipAllowlist.some(entry => {
+      if (!entry.includes('/')) {
+        return entry === address;
+      }
+
+      const [range, bits] = entry.split('/');
+      const mask = parseInt(bits, 10);
+      const rangeInt = this.ipv4ToInt(range);
+      const addressInt = this.ipv4ToInt(address);
+      if (rangeInt === null || addressInt === null || isNaN(mask)) return false;
+
+      const maskInt = mask === 0 ? 0 : (~0 << (32 - mask)) >>> 0;
+      return (rangeInt & maskInt) === (addressInt & maskInt);
+    });
+  }
+
+  ipv4ToInt(ip) {
+    const octets = ip.split('.').map(Number);
+    if (octets.length !== 4 || octets.some(octet => isNaN(octet) || octet < 0 || octet > 255)) {
+      return null;
+    }
+    return ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+  }
+}
+
+module.exports = new WebhookAuth();
@@ -0,0 +1,274 @@
+/**
+ * Parser for the Portuguese ATCUD invoice QR code (Portaria n.º 195/2020)
+ *
+ * Payload format: fields separated by "*", each one as "KEY:VALUE", e.g.
+ * A:123456789*B:999999990*C:PT*D:FT*E:N*F:20250101*G:FT 2025/123*H:JJ3K4M5N-123*I1:PT*I7:100.00*I8:23.00*N:23.00*O:123.00*Q:ab1C*R:1234
+ */
+
+// Fiscal region blocks: I (first region), J (second region), K (third region)
+const REGION_BLOCKS = ['I', 'J', 'K'];
+
+// Position of each VAT rate tier inside a region block
+const RATE_TIERS = {
+  reduced: { base: 3, vat: 4 },
+  intermediate: { base: 5, vat: 6 },
+  normal: { base: 7, vat: 8 }
+};
+
+const FISCAL_REGIONS = ['PT', 'PT-AC', 'PT-MA'];
+
+const DOCUMENT_STATUSES = {
+  N: 'normal',
+  S: 'self-billed',
+  A: 'cancelled',
+  R: 'summary',
+  F: 'invoiced'
+};
+
+const MONETARY_FIELDS = {
+  L: 'nonTaxableBase',
+  M: 'stampDuty',
+  N: 'totalTaxes',
+  O: 'totalValue',
+  P: 'withholdingTax'
+};
+
+class AtcudParser {
+  /**
+   * Split the raw payload into a { key: value } map
+   * Values may contain ":" (e.g. times in field S), so only the first one separates the key
+   */
+  tokenize(qrData) {
+    const fields = {};
+
+    String(qrData || '').split('*').forEach(field => {
+      const separator = field.indexOf(':');
+      if (separator <= 0) return;
+
+      const key = field.substring(0, separator).trim().toUpperCase();
+      const value = field.substring(separator + 1).trim();
+
+      if (key && value) {
+        fields[key] = value;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Check whether the payload looks like an ATCUD QR code
+   * Requires the issuer NIF plus the document number or total, so older partial payloads still parse
+   */
+  isAtcud(qrData) {
+    const fields = this.tokenize(qrData);
+    return fields.A !== undefined && (fields.G !== undefined || fields.O !== undefined);
+  }
+
+  /**
+   * Parse the full ATCUD field set into a typed invoice object
+   * Invalid values are dropped (null) and reported in parseErrors
+   */
+  parse(qrData) {
+    const fields = this.tokenize(qrData);
+    const parseErrors = [];
+
+    const result = {
+      issuerNIF: this.parseNIF(fields.A, 'A', parseErrors),
+      buyerNIF: this.parseNIF(fields.B, 'B', parseErrors),
+      buyerCountry: fields.C || null,
+      documentType: fields.D ? fields.D.toUpperCase() : null,
+      documentStatus: this.parseStatus(fields.E, parseErrors),
+      invoiceDate: this.parseDate(fields.F, parseErrors),
+      invoiceNumber: fields.G || null,
+      atcud: this.parseAtcudCode(fields.H, parseErrors),
+      vatBreakdown: [],
+      nonTaxableBase: null,
+      stampDuty: null,
+      totalTaxes: null,
+      totalValue: null,
+      withholdingTax: null,
+      hashExcerpt: this.parseHash(fields.Q, parseErrors),
+      certificateNumber: this.parseCertificate(fields.R, parseErrors),
+      otherInfo: fields.S || null,
+      parseErrors
+    };
+
+    for (const [key, name] of Object.entries(MONETARY_FIELDS)) {
+      result[name] = this.parseAmount(fields[key], key, parseErrors);
+    }
+
+    // Components ('base' / 'vat') with an amount that failed to parse; their totals are unknown
+    const rejected = new Set();
+
+    for (const block of REGION_BLOCKS) {
+      const region = this.parseRegionBlock(block, fields, parseErrors, rejected);
+      if (region) {
+        result.vatBreakdown.push(region);
+      }
+    }
+
+    // Flattened totals, handy for single-value board columns
+    result.taxableBase = this.sumBreakdown(result.vatBreakdown, 'base', rejected);
+    result.vatTotal = this.sumBreakdown(result.vatBreakdown, 'vat', rejected);
+
+    return result;
+  }
+
+  /**
+   * Parse one fiscal region block (I, J or K)
+   */
+  parseRegionBlock(block, fields, parseErrors, rejected) {
+    const regionCode = fields[`${block}1`];
+    if (!regionCode) return null;
+
+    // "I1:0" means the document has no VAT lines
+    if (regionCode === '0') return null;
+
+    if (!FISCAL_REGIONS.includes(regionCode.toUpperCase())) {
+      parseErrors.push(`${block}1: unknown fiscal region "${regionCode}"`);
+    }
+
+    const amount = (position, kind) => {
+      const key = `${block}${position}`;
+      const value = this.parseAmount(fields[key], key, parseErrors);
+      if (value === null && fields[key]) rejected.add(kind);
+      return value;
+    };
+
+    const region = {
+      region: regionCode.toUpperCase(),
+      exemptBase: amount(2, 'base'),
+      rates: {}
+    };
+
+    for (const [tier, positions] of Object.entries(RATE_TIERS)) {
+      const base = amount(positions.base, 'base');
+      const vat = amount(positions.vat, 'vat');
+
+      if (base !== null || vat !== null) {
+        region.rates[tier] = { base, vat };
+      }
+    }
+
+    return region;
+  }
+
+  /**
+   * Sum taxable bases (exempt base included) or VAT amounts across all regions
+   *
+   * Null when any amount of that kind was rejected: a partial sum would look like a real total.
+   */
+  sumBreakdown(vatBreakdown, kind, rejected = new Set()) {
+    if (vatBreakdown.length === 0 || rejected.has(kind)) return null;
+
+    let total = 0;
+    for (const region of vatBreakdown) {
+      if (kind === 'base' && region.exemptBase) {
+        total += region.exemptBase;
+      }
+      for (const tier of Object.values(region.rates)) {
+        total += tier[kind] || 0;
+      }
+    }
+
+    return Math.round(total * 100) / 100;
+  }
+
+  parseNIF(value, key, parseErrors) {
+    if (!value) return null;
+
+    const nif = value.replace(/\s+/g, '');
+
+    // A (issuer) is always a Portuguese NIF; B (buyer) may be a foreign tax ID, alphanumeric
+    if (!/^\d{9}$/.test(nif) && !(key === 'B' && /^[A-Z0-9]{2,20}$/i.test(nif))) {
+      parseErrors.push(`${key}: invalid NIF "${value}"`);
+      return null;
+    }
+
+    return nif;
+  }
+
+  parseStatus(value, parseErrors) {
+    if (!value) return null;
+
+    const status = DOCUMENT_STATUSES[value.toUpperCase()];
+    if (!status) {
+      parseErrors.push(`E: unknown document status "${value}"`);
+      return null;
+    }
+
+    return status;
+  }
+
+  parseDate(value, parseErrors) {
+    if (!value) return null;
+
+    if (!/^\d{8}$/.test(value)) {
+      parseErrors.push(`F: invalid date "${value}"`);
+      return null;
+    }
+
+    const year = value.substring(0, 4);
+    const month = value.substring(4, 6);
+    const day = value.substring(6, 8);
+    const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+
+    if (isNaN(date.getTime()) || date.getUTCDate() !== parseInt(day, 10)) {
+      parseErrors.push(`F: invalid date "${value}"`);
+      return null;
+    }
+
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * ATCUD is "<validation code>-<sequential number>", or "0" before the series is communicated
+   */
+  parseAtcudCode(value, parseErrors) {
+    if (!value) return null;
+
+    if (value !== '0' && !/^[A-Z0-9]{8,}-\d+$/i.test(value)) {
+      parseErrors.push(`H: invalid ATCUD "${value}"`);
+      return null;
+    }
+
+    return value;
+  }
+
+  parseHash(value, parseErrors) {
+    if (!value) return null;
+
+    if (value.length !== 4) {
+      parseErrors.push(`Q: hash excerpt must have 4 characters, got "${value}"`);
+      return null;
+    }
+
+    return value;
+  }
+
+  parseCertificate(value, parseErrors) {
+    if (!value) return null;
+
+    if (!/^\d{1,4}$/.test(value)) {
+      parseErrors.push(`R: invalid certificate number "${value}"`);
+      return null;
+    }
+
+    return value;
+  }
+
+  parseAmount(value, key, parseErrors) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const amount = parseFloat(String(value).replace(',', '.'));
+    if (isNaN(amount) || !/^-?\d+([.,]\d+)?$/.test(value)) {
+      parseErrors.push(`${key}: invalid amount "${value}"`);
+      return null;
+    }
+
+    return amount;
+  }
+}
+
+module.exports = new AtcudParser();
@@ -0,0 +1,66 @@
+/**
+ * Portuguese document types (ATCUD field D / invoice number prefix) and how their amounts are signed
+ */
+
+const DOCUMENT_TYPES = {
+  FT: { category: 'invoice', sign: 1 },
+  FR: { category: 'invoice-receipt', sign: 1 },
+  FS: { category: 'simplified-invoice', sign: 1 },
+  ND: { category: 'debit-note', sign: 1 },
+  NC: { category: 'credit-note', sign: -1 },
+  RC: { category: 'receipt', sign: 1 },
+  RG: { category: 'receipt', sign: 1 }
+};
+
+// Flattened amounts that flip sign for credit notes (the VAT breakdown stays as printed)
+const SIGNED_FIELDS = ['totalValue', 'taxableBase', 'vatTotal', 'totalTaxes'];
+
+class DocumentTypes {
+  constructor() {
+    this.types = DOCUMENT_TYPES;
+  }
+
+  isKnown(code) {
+    return Boolean(code && DOCUMENT_TYPES[code.toUpperCase()]);
+  }
+
+  /**
+   * Document type from field D, or from the invoice number prefix ("NC 2025/12")
+   */
+  detect(extractedData) {
+    if (extractedData.documentType) {
+      return extractedData.documentType.toUpperCase();
+    }
+
+    const prefixMatch = String(extractedData.invoiceNumber || '').trim().match(/^([A-Z]{2})[A-Z]?\b/i);
+    if (prefixMatch && this.isKnown(prefixMatch[1])) {
+      return prefixMatch[1].toUpperCase();
+    }
+
+    return null;
+  }
+
+  /**
+   * Set documentType/documentCategory and sign the totals (credit notes become negative)
+   * Safe to call twice: amounts already carrying the sign are left alone
+   */
+  apply(extractedData) {
+    const documentType = this.detect(extractedData);
+    const definition = documentType ? DOCUMENT_TYPES[documentType] : null;
+
+    extractedData.documentType = documentType;
+    extractedData.documentCategory = definition ? definition.category : (documentType ? 'other' : null);
+
+    if (definition && definition.sign < 0) {
+      for (const field of SIGNED_FIELDS) {
+        if (typeof extractedData[field] === 'number' && extractedData[field] > 0) {
+          extractedData[field] = -extractedData[field];
+        }
+      }
+    }
+
+    return extractedData;
+  }
+}
+
+module.exports = new DocumentTypes();
@@ -0,0 +1,426 @@
+const { XMLParser } = require('fast-xml-parser');
+const atcudParser = require('./atcudParser');
+const documentTypes = require('./documentTypes');
+
+/**
+ * Parser for structured e-invoices: UBL 2.1 / CIUS-PT (Invoice, CreditNote) and SAF-T PT
+ * (a whole AuditFile or a single SourceDocuments Invoice fragment)
+ *
+ * Emits the same shape as AtcudParser.parse, so the rest of the pipeline can't tell the difference.
+ * SAF-T files with several invoices return one result per invoice.
+ */
+
+// VAT rates per fiscal region, used to place UBL tax subtotals in the ATCUD rate tiers
+// A rate decides the region only when no other region has it (4% is reduced in both PT-MA and PT-AC)
+const REGION_RATES = {
+  PT: { reduced: 6, intermediate: 13, normal: 23 },
+  'PT-MA': { reduced: 4, intermediate: 12, normal: 22 },
+  'PT-AC': { reduced: 4, intermediate: 9, normal: 16 }
+};
+
+// Postal codes of the autonomous regions (first four digits): Madeira 9000-9499, Azores 9500-9999
+const MADEIRA_POSTAL_FROM = 9000;
+const AZORES_POSTAL_FROM = 9500;
+
+// SAF-T TaxCode → rate tier
+const SAFT_TAX_CODES = {
+  RED: 'reduced',
+  INT: 'intermediate',
+  NOR: 'normal'
+};
+
+// UBL InvoiceTypeCode → document type, when the invoice number has no known prefix
+const UBL_TYPE_CODES = {
+  380: 'FT',
+  381: 'NC',
+  383: 'ND'
+};
+
+// UBL TaxCategory IDs for exempt / zero-rated / reverse-charge lines
+const UBL_EXEMPT_CATEGORIES = ['E', 'Z', 'AE', 'K', 'G', 'O'];
+
+class EInvoiceParser {
+  constructor() {
+    this.parser = new XMLParser({
+      removeNSPrefix: true,
+      ignoreAttributes: false,
+      parseTagValue: false,
+      isArray: (name) => ['Invoice', 'Line', 'Customer', 'TaxSubtotal', 'TaxTotal', 'AdditionalDocumentReference', 'PartyTaxScheme'].includes(name)
+    });
+  }
+
+  /**
+   * Parse an XML document into { format, invoices }
+   * Throws when the document is not a UBL or SAF-T invoice
+   */
+  parse(xml) {
+    const document = this.parser.parse(xml);
+
+    if (document.AuditFile) {
+      return { format: 'saft', invoices: this.parseAuditFile(document.AuditFile) };
+    }
+
+    const invoice = document.Invoice && document.Invoice[0];
+    if (invoice && invoice.InvoiceNo) {
+      return { format: 'saft', invoices: [this.parseSaftInvoice(invoice, {}, {})] };
+    }
+    if (invoice) {
+      return { format: 'ubl', invoices: [this.parseUbl(invoice, 'Invoice')] };
+    }
+    if (document.CreditNote) {
+      return { format: 'ubl', invoices: [this.parseUbl(document.CreditNote, 'CreditNote')] };
+    }
+
+    throw new Error('XML is not a UBL/CIUS-PT invoice or SAF-T PT document');
+  }
+
+  /**
+   * Empty result in the AtcudParser.parse shape
+   */
+  emptyResult() {
+    return {
+      issuerNIF: null,
+      buyerNIF: null,
+      buyerCountry: null,
+      documentType: null,
+      documentStatus: null,
+      invoiceDate: null,
+      invoiceNumber: null,
+      atcud: null,
+      vatBreakdown: [],
+      nonTaxableBase: null,
+      stampDuty: null,
+      totalTaxes: null,
+      totalValue: null,
+      withholdingTax: null,
+      hashExcerpt: null,
+      certificateNumber: null,
+      otherInfo: null,
+      parseErrors: [],
+      supplierName: null,
+      customerNIF: null,
+      currency: 'EUR'
+    };
+  }
+
+  /**
+   * UBL 2.1 Invoice / CreditNote (CIUS-PT)
+   */
+  parseUbl(node, rootName) {
+    const result = this.emptyResult();
+    const supplier = this.path(node, 'AccountingSupplierParty', 'Party');
+    const customer = this.path(node, 'AccountingCustomerParty', 'Party');
+
+    result.invoiceNumber = this.text(node.ID);
+    result.invoiceDate = this.date(this.text(node.IssueDate), 'IssueDate', result.parseErrors);
+    result.currency = this.text(node.DocumentCurrencyCode) || 'EUR';
+    result.documentStatus = 'normal';
+
+    const typeCode = rootName === 'CreditNote' ? 381 : parseInt(this.text(node.InvoiceTypeCode), 10);
+    result.documentType = documentTypes.detect({ invoiceNumber: result.invoiceNumber }) || UBL_TYPE_CODES[typeCode] || null;
+
+    result.issuerNIF = this.partyNIF(supplier);
+    result.supplierName = this.text(this.path(supplier, 'PartyLegalEntity', 'RegistrationName')) ||
+      this.text(this.path(supplier, 'PartyName', 'Name'));
+    result.buyerNIF = this.partyNIF(customer);
+    result.customerNIF = result.buyerNIF;
+    result.buyerCountry = this.text(this.path(customer, 'PostalAddress', 'Country', 'IdentificationCode'));
+
+    // CIUS-PT carries the ATCUD as an additional document reference
+    for (const reference of this.list(node.AdditionalDocumentReference)) {
+      const scheme = `${this.attribute(reference.ID, 'schemeID') || ''} ${this.text(reference.DocumentType) || ''}`;
+      if (/ATCUD/i.test(scheme)) {
+        result.atcud = this.text(reference.ID);
+      }
+    }
+
+    // Only the document-currency tax total has subtotals
+    const taxTotal = this.list(node.TaxTotal).find(total => total.TaxSubtotal) || this.list(node.TaxTotal)[0];
+    if (taxTotal) {
+      const supplierRegion = this.addressRegion(supplier);
+      result.totalTaxes = this.amount(taxTotal.TaxAmount, 'TaxAmount', result.parseErrors);
+      for (const subtotal of this.list(taxTotal.TaxSubtotal)) {
+        this.addUblSubtotal(result, subtotal, supplierRegion);
+      }
+    }
+
+    const totals = node.LegalMonetaryTotal || {};
+    result.totalValue = this.amount(totals.TaxInclusiveAmount, 'TaxInclusiveAmount', result.parseErrors);
+    if (result.totalValue === null) {
+      result.totalValue = this.amount(totals.PayableAmount, 'PayableAmount', result.parseErrors);
+    }
+
+    return this.finish(result);
+  }
+
+  /**
+   * Place one UBL TaxSubtotal in the region/tier breakdown
+   * The region comes from the TaxCategory/TaxScheme, else the supplier address, else from a rate only one
+   * region has; an ambiguous rate is left without a region (region null) and reported in parseErrors
+   */
+  addUblSubtotal(result, subtotal, supplierRegion = null) {
+    const base = this.amount(subtotal.TaxableAmount, 'TaxableAmount', result.parseErrors) || 0;
+    const vat = this.amount(subtotal.TaxAmount, 'TaxAmount', result.parseErrors) || 0;
+    const category = subtotal.TaxCategory || {};
+    const percent = parseFloat(this.text(category.Percent));
+    const categoryId = (this.text(category.ID) || '').toUpperCase();
+    const region = this.taxRegion(category) || supplierRegion;
+
+    if (UBL_EXEMPT_CATEGORIES.includes(categoryId) || !percent) {
+      this.addToBreakdown(result.vatBreakdown, region || 'PT', null, base, 0);
+      return;
+    }
+
+    const tierOf = name => Object.keys(REGION_RATES[name] || {}).find(tier => REGION_RATES[name][tier] === percent);
+
+    if (region && tierOf(region)) {
+      this.addToBreakdown(result.vatBreakdown, region, tierOf(region), base, vat);
+      return;
+    }
+
+    const candidates = Object.keys(REGION_RATES).filter(name => tierOf(name));
+
+    if (candidates.length === 1) {
+      this.addToBreakdown(result.vatBreakdown, candidates[0], tierOf(candidates[0]), base, vat);
+      return;
+    }
+
+    if (candidates.length > 1) {
+      result.parseErrors.push(`TaxSubtotal: VAT rate ${percent}% exists in ${candidates.join(' and ')}, region not assigned`);
+      this.addToBreakdown(result.vatBreakdown, null, tierOf(candidates[0]), base, vat);
+      return;
+    }
+
+    result.parseErrors.push(`TaxSubtotal: unknown VAT rate ${percent}%`);
+    this.addToBreakdown(result.vatBreakdown, 'PT', 'normal', base, vat);
+  }
+
+  /**
+   * Fiscal region named by a TaxCategory or its TaxScheme ("PT-MA", "PT-AC", "PT"), or null
+   */
+  taxRegion(category) {
+    const scheme = category.TaxScheme || {};
+    const values = [category.Name, scheme.ID, scheme.Name, scheme.TaxTypeCode].map(value => this.text(value));
+
+    for (const value of values) {
+      const region = value && value.toUpperCase() === 'PT' ? 'PT' : this.regionCode(value);
+      if (region) return region;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fiscal region of a Portuguese UBL party from its postal address (subdivision, then postal code), or null
+   */
+  addressRegion(party) {
+    const address = this.path(party, 'PostalAddress');
+    if (!address) return null;
+
+    const country = this.text(this.path(address, 'Country', 'IdentificationCode'));
+    if (country && country.toUpperCase() !== 'PT') return null;
+
+    const region = this.regionCode(this.text(address.CountrySubentityCode)) || this.regionCode(this.text(address.CountrySubentity));
+    if (region) return region;
+
+    const postal = (this.text(address.PostalZone) || '').match(/^(\d{4})-?\d{3}$/);
+    if (!postal) return null;
+
+    const prefix = parseInt(postal[1], 10);
+    if (prefix >= AZORES_POSTAL_FROM) return 'PT-AC';
+    if (prefix >= MADEIRA_POSTAL_FROM) return 'PT-MA';
+    return 'PT';
+  }
+
+  /**
+   * "PT-MA" / "PT-30" / "Madeira" → PT-MA, "PT-AC" / "PT-20" / "Açores" → PT-AC, mainland districts → PT
+   */
+  regionCode(value) {
+    if (!value) return null;
+    if (/\bPT-?(?:MA|30)\b|madeira/i.test(value)) return 'PT-MA';
+    if (/\bPT-?(?:AC|20)\b|a[çc]ores|azores/i.test(value)) return 'PT-AC';
+    if (/\bPT-?(?:0[1-9]|1[0-8])\b/i.test(value)) return 'PT';
+    return null;
+  }
+
+  /**
+   * SAF-T PT AuditFile: issuer from the Header, buyers from MasterFiles, one result per invoice
+   */
+  parseAuditFile(auditFile) {
+    const header = auditFile.Header || {};
+    const customers = new Map(
+      this.list(this.path(auditFile, 'MasterFiles', 'Customer')).map(customer => [this.text(customer.CustomerID), customer])
+    );
+    const invoices = this.list(this.path(auditFile, 'SourceDocuments', 'SalesInvoices', 'Invoice'));
+
+    if (invoices.length === 0) {
+      throw new Error('SAF-T file has no SalesInvoices');
+    }
+
+    return invoices.map(invoice => this.parseSaftInvoice(invoice, header, customers.get(this.text(invoice.CustomerID)) || {}));
+  }
+
+  /**
+   * One SAF-T SourceDocuments/SalesInvoices/Invoice
+   */
+  parseSaftInvoice(invoice, header, customer) {
+    const result = this.emptyResult();
+
+    result.invoiceNumber = this.text(invoice.InvoiceNo);
+    result.atcud = this.text(invoice.ATCUD);
+    result.invoiceDate = this.date(this.text(invoice.InvoiceDate), 'InvoiceDate', result.parseErrors);
+    result.documentType = (this.text(invoice.InvoiceType) || '').toUpperCase() || null;
+    result.documentStatus = atcudParser.parseStatus(this.text(this.path(invoice, 'DocumentStatus', 'InvoiceStatus')), result.parseErrors);
+
+    const hash = this.text(invoice.Hash);
+    if (hash && hash.length >= 31) {
+      // ATCUD field Q: characters 1, 11, 21 and 31 of the signature
+      result.hashExcerpt = hash[0] + hash[10] + hash[20] + hash[30];
+    }
+
+    result.issuerNIF = this.nif(this.text(header.TaxRegistrationNumber));
+    result.supplierName = this.text(header.CompanyName);
+    result.certificateNumber = this.text(header.SoftwareCertificateNumber);
+    result.buyerNIF = this.nif(this.text(customer.CustomerTaxID));
+    result.customerNIF = result.buyerNIF;
+    result.buyerCountry = this.text(this.path(customer, 'BillingAddress', 'Country'));
+
+    for (const line of this.list(invoice.Line)) {
+      this.addSaftLine(result, line);
+    }
+
+    const totals = invoice.DocumentTotals || {};
+    result.totalTaxes = this.amount(totals.TaxPayable, 'TaxPayable', result.parseErrors);
+    result.totalValue = this.amount(totals.GrossTotal, 'GrossTotal', result.parseErrors);
+    result.currency = this.text(this.path(totals, 'Currency', 'CurrencyCode')) || 'EUR';
+
+    const withholding = this.list(invoice.WithholdingTax)
+      .reduce((sum, entry) => sum + (this.amount(entry.WithholdingTaxAmount, 'WithholdingTaxAmount', result.parseErrors) || 0), 0);
+    result.withholdingTax = withholding || null;
+
+    return this.finish(result);
+  }
+
+  /**
+   * Add a SAF-T line to the breakdown: IVA by region/tax code, IS as stamp duty, NS as non-taxable
+   */
+  addSaftLine(result, line) {
+    const amount = this.amount(line.CreditAmount, 'CreditAmount', result.parseErrors) ??
+      this.amount(line.DebitAmount, 'DebitAmount', result.parseErrors) ?? 0;
+    const tax = line.Tax || {};
+    const taxType = (this.text(tax.TaxType) || 'IVA').toUpperCase();
+    const taxCode = (this.text(tax.TaxCode) || '').toUpperCase();
+    const region = (this.text(tax.TaxCountryRegion) || 'PT').toUpperCase();
+
+    if (taxType === 'IS') {
+      const stampDuty = this.amount(tax.TaxAmount, 'TaxAmount', result.parseErrors) || 0;
+      result.stampDuty = this.round((result.stampDuty || 0) + stampDuty);
+      return;
+    }
+    if (taxType === 'NS') {
+      result.nonTaxableBase = this.round((result.nonTaxableBase || 0) + amount);
+      return;
+    }
+
+    const tier = SAFT_TAX_CODES[taxCode];
+    if (!tier) {
+      // ISE (exempt) and unknown codes count as exempt base
+      this.addToBreakdown(result.vatBreakdown, region, null, amount, 0);
+      return;
+    }
+
+    const percent = parseFloat(this.text(tax.TaxPercentage)) || 0;
+    this.addToBreakdown(result.vatBreakdown, region, tier, amount, amount * percent / 100);
+  }
+
+  /**
+   * Accumulate into the ATCUD-style [{ region, exemptBase, rates }] breakdown (tier null = exempt)
+   */
+  addToBreakdown(vatBreakdown, regionCode, tier, base, vat) {
+    let region = vatBreakdown.find(entry => entry.region === regionCode);
+    if (!region) {
+      region = { region: regionCode, exemptBase: null, rates: {} };
+      vatBreakdown.push(region);
+    }
+
+    if (!tier) {
+      region.exemptBase = this.round((region.exemptBase || 0) + base);
+      return;
+    }
+
+    const current = region.rates[tier] || { base: 0, vat: 0 };
+    region.rates[tier] = { base: this.round(current.base + base), vat: this.round(current.vat + vat) };
+  }
+
+  /**
+   * Flattened totals, as AtcudParser.parse computes them
+   */
+  finish(result) {
+    result.taxableBase = atcudParser.sumBreakdown(result.vatBreakdown, 'base');
+    result.vatTotal = atcudParser.sumBreakdown(result.vatBreakdown, 'vat');
+    return result;
+  }
+
+  /**
+   * Party NIF from PartyTaxScheme/CompanyID or PartyLegalEntity/CompanyID ("PT500000000" → "500000000")
+   */
+  partyNIF(party) {
+    if (!party) return null;
+    const taxScheme = this.list(party.PartyTaxScheme)[0];
+    return this.nif(this.text(taxScheme && taxScheme.CompanyID) || this.text(this.path(party, 'PartyLegalEntity', 'CompanyID')));
+  }
+
+  nif(value) {
+    if (!value) return null;
+    return value.replace(/\s+/g, '').replace(/^PT/i, '');
+  }
+
+  date(value, field, parseErrors) {
+    if (!value) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      parseErrors.push(`${field}: invalid date "${value}"`);
+      return null;
+    }
+    return value;
+  }
+
+  amount(node, field, parseErrors) {
+    const value = this.text(node);
+    if (value === null) return null;
+
+    const amount = parseFloat(value);
+    if (isNaN(amount)) {
+      parseErrors.push(`${field}: invalid amount "${value}"`);
+      return null;
+    }
+    return amount;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Text content of an element, whether or not it had attributes
+   */
+  text(node) {
+    if (node === undefined || node === null) return null;
+    const value = typeof node === 'object' ? node['#text'] : node;
+    return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+  }
+
+  attribute(node, name) {
+    return node && typeof node === 'object' ? node[`@_${name}`] || null : null;
+  }
+
+  list(node) {
+    if (node === undefined || node === null || node === '') return [];
+    return Array.isArray(node) ? node : [node];
+  }
+
+  path(node, ...keys) {
+    return keys.reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), node);
+  }
+}
+
+module.exports = new EInvoiceParser();
@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+/**
+ * Decoders for image formats Jimp can't read (HEIC, WebP) or only reads partially (multi-page TIFF)
+ * Frames are yielded one at a time as { width, height, data } RGBA bitmaps to keep memory flat
+ */
+class ImageDecoder {
+  constructor() {
+    this.maxFrames = parseInt(process.env.IMAGE_MAX_FRAMES, 10) || 10;
+  }
+
+  /**
+   * Yield the frames of a heic/tiff/webp file, up to IMAGE_MAX_FRAMES
+   */
+  async *frames(filePath, type) {
+    const buffer = await fs.promises.readFile(filePath);
+
+    switch (type) {
+      case 'heic':
+        yield* this.heicFrames(buffer);
+        break;
+      case 'tiff':
+        yield* this.tiffFrames(buffer);
+        break;
+      case 'webp':
+        yield this.webpFrame(buffer);
+        break;
+      default:
+        throw new Error(`No decoder for ${type}`);
+    }
+  }
+
+  /**
+   * HEIC/HEIF: phone photos, occasionally several images in one container
+   */
+  async *heicFrames(buffer) {
+    const decodeHeic = require('heic-decode');
+    const images = await decodeHeic.all({ buffer });
+
+    try {
+      for (const image of images.slice(0, this.maxFrames)) {
+        const { width, height, data } = await image.decode();
+        yield { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+      }
+    } finally {
+      images.dispose();
+    }
+  }
+
+  /**
+   * TIFF: every page of a scanner's multi-page output, skipping reduced-resolution thumbnails
+   */
+  *tiffFrames(buffer) {
+    const UTIF = require('utif2');
+    const pages = UTIF.decode(buffer).filter(ifd => !(ifd.t254 && ifd.t254[0] === 1));
+
+    for (const ifd of pages.slice(0, this.maxFrames)) {
+      UTIF.decodeImage(buffer, ifd);
+      const rgba = UTIF.toRGBA8(ifd);
+      yield { width: ifd.width, height: ifd.height, data: Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength) };
+    }
+  }
+
+  webpFrame(buffer) {
+    const webp = require('@cwasm/webp');
+    const { width, height, data } = webp.decode(buffer);
+    return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+  }
+}
+
+module.exports = new ImageDecoder();
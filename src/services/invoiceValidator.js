@@ -0,0 +1,163 @@
+/**
+ * Consistency checks for extracted invoice data, run before anything is written to Monday.com
+ */
+const documentTypes = require('./documentTypes');
+
+// Valid leading digits for Portuguese NIFs (single digit or two-digit prefixes)
+const NIF_PREFIXES = ['1', '2', '3', '5', '6', '8', '45', '70', '71', '72', '74', '75', '77', '78', '79', '90', '91', '98', '99'];
+
+// Rounding tolerance when comparing totals (one cent per rounded amount is common)
+const TOTAL_TOLERANCE = 0.05;
+
+// Oldest invoice date still considered plausible
+const MAX_INVOICE_AGE_YEARS = 10;
+
+// Confidence penalty per warning type
+const PENALTIES = {
+  'parse-error': 0.1,
+  'missing-total': 0.3,
+  'missing-invoice-number': 0.2,
+  'invalid-nif': 0.25,
+  'total-mismatch': 0.3,
+  'implausible-date': 0.15,
+  'document-type-mismatch': 0.15,
+  'unknown-document-type': 0.05
+};
+
+class InvoiceValidator {
+  /**
+   * Validate extracted data and return { warnings, confidence }
+   * Each warning is { code, field, message }; confidence is between 0 and 1
+   */
+  validate(extractedData) {
+    const warnings = [];
+    const warn = (code, field, message) => warnings.push({ code, field, message });
+
+    (extractedData.parseErrors || []).forEach(error => {
+      warn('parse-error', error.split(':')[0], error);
+    });
+
+    if (extractedData.totalValue === null || extractedData.totalValue === undefined) {
+      warn('missing-total', 'totalValue', 'Total value not found');
+    }
+
+    if (!extractedData.invoiceNumber) {
+      warn('missing-invoice-number', 'invoiceNumber', 'Invoice number not found');
+    }
+
+    this.checkNIFs(extractedData, warn);
+    this.checkTotals(extractedData, warn);
+    this.checkDate(extractedData, warn);
+    this.checkDocumentType(extractedData, warn);
+
+    const penalty = warnings.reduce((sum, warning) => sum + (PENALTIES[warning.code] || 0.1), 0);
+    const confidence = Math.max(0, Math.round((1 - penalty) * 100) / 100);
+
+    return { warnings, confidence };
+  }
+
+  /**
+   * Check the mod-11 check digit of every NIF present
+   */
+  checkNIFs(extractedData, warn) {
+    const nifFields = ['issuerNIF', 'buyerNIF', 'customerNIF'];
+    const checked = new Set();
+
+    for (const field of nifFields) {
+      const nif = extractedData[field];
+      if (!nif || checked.has(nif)) continue;
+      checked.add(nif);
+
+      // Foreign buyer identifiers are not Portuguese NIFs
+      if (field !== 'issuerNIF' && extractedData.buyerCountry && extractedData.buyerCountry !== 'PT') continue;
+
+      if (!this.isValidNIF(nif)) {
+        warn('invalid-nif', field, `${field} ${nif} fails the NIF check digit`);
+      }
+    }
+  }
+
+  /**
+   * Portuguese NIF: 9 digits, known prefix, last digit is a mod-11 check digit
+   */
+  isValidNIF(nif) {
+    const value = String(nif).replace(/\s+/g, '');
+
+    if (!/^\d{9}$/.test(value)) return false;
+    if (!NIF_PREFIXES.some(prefix => value.startsWith(prefix))) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 8; i++) {
+      sum += parseInt(value[i], 10) * (9 - i);
+    }
+
+    const remainder = sum % 11;
+    const checkDigit = remainder < 2 ? 0 : 11 - remainder;
+
+    return checkDigit === parseInt(value[8], 10);
+  }
+
+  /**
+   * O must equal taxable bases + non-taxable base + VAT + stamp duty
+   */
+  checkTotals(extractedData, warn) {
+    const { totalValue, taxableBase, vatTotal, nonTaxableBase, stampDuty } = extractedData;
+
+    // Only ATCUD data carries the breakdown needed for this check
+    if (totalValue === null || totalValue === undefined) return;
+    if (taxableBase === null || taxableBase === undefined) return;
+
+    // Credit notes carry negative totals, so compare magnitudes
+    const expected = Math.abs(taxableBase || 0) + Math.abs(vatTotal || 0) + (nonTaxableBase || 0) + (stampDuty || 0);
+
+    if (Math.abs(Math.abs(totalValue) - expected) > TOTAL_TOLERANCE) {
+      warn('total-mismatch', 'totalValue', `Total ${totalValue} does not match bases + VAT + stamp duty (${expected.toFixed(2)})`);
+    }
+  }
+
+  /**
+   * Date must exist as a calendar date, not be in the future, and not be too old
+   */
+  checkDate(extractedData, warn) {
+    if (!extractedData.invoiceDate) return;
+
+    const date = new Date(`${extractedData.invoiceDate}T00:00:00Z`);
+    if (isNaN(date.getTime())) {
+      warn('implausible-date', 'invoiceDate', `Invalid date ${extractedData.invoiceDate}`);
+      return;
+    }
+
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    const oldest = Date.UTC(now.getUTCFullYear() - MAX_INVOICE_AGE_YEARS, now.getUTCMonth(), now.getUTCDate());
+
+    if (date.getTime() > tomorrow) {
+      warn('implausible-date', 'invoiceDate', `Date ${extractedData.invoiceDate} is in the future`);
+    } else if (date.getTime() < oldest) {
+      warn('implausible-date', 'invoiceDate', `Date ${extractedData.invoiceDate} is more than ${MAX_INVOICE_AGE_YEARS} years old`);
+    }
+  }
+
+  /**
+   * Invoice numbers are "<type> <series>/<number>", so the prefix must match field D
+   */
+  checkDocumentType(extractedData, warn) {
+    const { invoiceNumber, documentType } = extractedData;
+    if (!invoiceNumber) return;
+
+    const prefixMatch = String(invoiceNumber).trim().match(/^([A-Z]{2,3})\b/i);
+    const prefix = prefixMatch ? prefixMatch[1].toUpperCase() : null;
+
+    if (documentType && prefix && !prefix.startsWith(documentType)) {
+      warn('document-type-mismatch', 'documentType', `Document type ${documentType} does not match invoice number ${invoiceNumber}`);
+      return;
+    }
+
+    const type = documentType || prefix;
+    if (!type || !documentTypes.isKnown(type.substring(0, 2))) {
+      warn('unknown-document-type', 'documentType', `Unexpected document type ${type || 'none'} (expected ${Object.keys(documentTypes.types).join('/')})`);
+    }
+  }
+}
+
+module.exports = new InvoiceValidator();
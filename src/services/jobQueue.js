@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Durable processing queue backed by a local JSON file
+ *
+ * - One pending job per item (re-triggering a queued/active item is a no-op)
+ * - Failed jobs retry with exponential backoff, then move to the dead-letter list
+ * - Jobs that were active when the process died are picked up again on startup
+ * - History is bounded: the newest 200 completed/cancelled and 500 dead jobs are kept
+ *
+ * Job states: queued → active → completed | queued (retry) | dead
+ * Queued jobs can be cancelled; dead, cancelled and completed jobs can be retried
+ */
+class JobQueue {
+  constructor() {
+    this.filePath = process.env.QUEUE_FILE || path.join('data', 'queue.json');
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5; // Items in flight; CPU-heavy extraction is bounded by the worker pool
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseDelay = parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 30 * 1000;
+    this.retryMaxDelay = 30 * 60 * 1000; // 30 minutes
+    this.historyLimit = 200; // Completed/cancelled jobs kept on disk
+    this.deadLimit = 500; // Dead-letter jobs kept on disk
+    this.statsWindow = 24 * 60 * 60 * 1000; // Failure rate covers jobs finished in the last 24 hours
+
+    this.jobs = [];
+    // Completed/dead counts per hour (start of the hour, ms) - independent of how much history is kept
+    this.finishedPerHour = {};
+    this.activeProcessors = 0;
+    this.handler = null;
+    this.onDead = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Load jobs from disk, recover interrupted ones and start processing
+   * onDead(job, error) reports jobs dead-lettered outside the handler (interrupted on their last attempt)
+   */
+  start(handler, onDead = null) {
+    this.handler = handler;
+    this.onDead = onDead;
+    this.load();
+    this.recover();
+    this.startProcessors();
+  }
+
+  load() {
+    this.jobs = [];
+    this.finishedPerHour = {};
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.jobs = Array.isArray(content.jobs) ? content.jobs : [];
+      this.finishedPerHour = content.finishedPerHour && typeof content.finishedPerHour === 'object' ? content.finishedPerHour : {};
+    } catch (error) {
+      // Keep the broken file for inspection instead of overwriting it
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, backupPath);
+      logger.error('Could not read queue file, moved it aside', { file: this.filePath, backupPath, error });
+      this.jobs = [];
+      this.finishedPerHour = {};
+    }
+  }
+
+  /**
+   * Jobs left active by a crash/redeploy go back to the queue
+   * The interrupted run counts as an attempt, so a job that crashes the process can't loop forever
+   */
+  recover() {
+    const interrupted = this.jobs.filter(job => job.status === 'active');
+    const dead = [];
+
+    for (const job of interrupted) {
+      const error = new Error('Interrupted by restart');
+      this.fail(job, error, false);
+      // Time since startedAt includes the downtime
+      job.durationMs = null;
+      if (job.status === 'dead') dead.push({ job, error });
+    }
+    if (interrupted.length > 0) {
+      this.save();
+    }
+
+    // The handler never saw these fail, so their items would stay "Processing"
+    for (const { job, error } of dead) {
+      this.reportDead(job, error);
+    }
+
+    const queued = this.jobs.filter(job => job.status === 'queued').length;
+    if (interrupted.length > 0 || queued > 0) {
+      logger.info('Queue recovered', { interrupted: interrupted.length, queued });
+    }
+  }
+
+  /**
+   * Hand a dead-lettered job to onDead without holding up the queue; a failed report is only logged
+   */
+  reportDead(job, error) {
+    if (!this.onDead) return;
+
+    Promise.resolve()
+      .then(() => this.onDead(job, error))
+      .catch(reportError => logger.warn('Dead job report failed', { jobId: job.id, itemId: job.itemId, error: reportError }));
+  }
+
+  /**
+   * Write atomically (temp file + rename) so a crash never leaves half a file
+   */
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    // Trim the oldest completed/cancelled and dead jobs
+    this.trim(job => job.status === 'completed' || job.status === 'cancelled', this.historyLimit);
+    this.trim(job => job.status === 'dead', this.deadLimit);
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ jobs: this.jobs, finishedPerHour: this.finishedPerHour }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Count a completed or dead job in its hour; hours older than the stats window are dropped
+   */
+  countFinished(status, at) {
+    const hour = Math.floor(at / HOUR_MS) * HOUR_MS;
+    const bucket = this.finishedPerHour[hour] || (this.finishedPerHour[hour] = { completed: 0, dead: 0 });
+    bucket[status]++;
+
+    for (const key of Object.keys(this.finishedPerHour)) {
+      if (Number(key) < at - this.statsWindow - HOUR_MS) {
+        delete this.finishedPerHour[key];
+      }
+    }
+  }
+
+  trim(matches, limit) {
+    const matching = this.jobs.filter(matches);
+    if (matching.length > limit) {
+      const drop = new Set(matching.slice(0, matching.length - limit));
+      this.jobs = this.jobs.filter(job => !drop.has(job));
+    }
+  }
+
+  /**
+   * Add an item to the queue, unless it's already waiting or being processed
+   * Returns { job, duplicate }
+   */
+  enqueue(itemId, boardId) {
+    const existing = this.jobs.find(job =>
+      String(job.itemId) === String(itemId) && (job.status === 'queued' || job.status === 'active')
+    );
+
+    if (existing) {
+      logger.info(`Item already ${existing.status}`, { itemId: String(itemId), jobId: existing.id });
+      return { job: existing, duplicate: true };
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      itemId: String(itemId),
+      boardId: String(boardId),
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      durationMs: null,
+      method: null,
+      result: null,
+      lastError: null,
+      lastErrorType: null
+    };
+
+    this.jobs.push(job);
+    this.save();
+
+    logger.info('Item queued', { itemId: job.itemId, boardId: job.boardId, jobId: job.id, queueSize: this.getPendingCount() });
+
+    this.startProcessors();
+
+    return { job, duplicate: false };
+  }
+
+  getPendingCount() {
+    return this.jobs.filter(job => job.status === 'queued').length;
+  }
+
+  getDeadLetters() {
+    return this.jobs.filter(job => job.status === 'dead');
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Jobs newest first, optionally filtered by status (one or several), itemId and boardId
+   */
+  list({ status = null, itemId = null, boardId = null, limit = 100 } = {}) {
+    const statuses = status ? [].concat(status) : null;
+
+    return this.jobs
+      .filter(job =>
+        (!statuses || statuses.includes(job.status)) &&
+        (!itemId || job.itemId === String(itemId)) &&
+        (!boardId || job.boardId === String(boardId))
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Counts per status, processor usage and the failure rate over statsWindow
+   */
+  getStats() {
+    const counts = { queued: 0, active: 0, completed: 0, dead: 0, cancelled: 0 };
+    for (const job of this.jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    // Retained history is trimmed per status, so the rate comes from the hourly counts instead
+    const recent = { windowMs: this.statsWindow, completed: 0, dead: 0 };
+    const since = Date.now() - this.statsWindow;
+    for (const [hour, bucket] of Object.entries(this.finishedPerHour)) {
+      if (Number(hour) + HOUR_MS > since) {
+        recent.completed += bucket.completed;
+        recent.dead += bucket.dead;
+      }
+    }
+
+    const finished = recent.completed + recent.dead;
+
+    return {
+      counts,
+      recent,
+      failureRate: finished ? recent.dead / finished : null,
+      activeProcessors: this.activeProcessors,
+      concurrency: this.concurrency
+    };
+  }
+
+  /**
+   * Queue a finished job again with fresh attempts, or run a queued job now instead of after its backoff
+   * Returns the job, or null when it doesn't exist; throws when the job can't be retried
+   */
+  retry(id) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    if (job.status === 'active') {
+      throw new Error(`Job ${id} is running`);
+    }
+
+    if (job.status !== 'queued') {
+      const pending = this.jobs.find(other =>
+        other !== job && other.itemId === job.itemId && (other.status === 'queued' || other.status === 'active')
+      );
+      if (pending) {
+        throw new Error(`Item ${job.itemId} already has a ${pending.status} job (${pending.id})`);
+      }
+      job.attempts = 0;
+    }
+
+    job.status = 'queued';
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = job.nextAttemptAt;
+    job.finishedAt = null;
+    this.save();
+
+    logger.info('Job queued for retry', { jobId: job.id, itemId: job.itemId });
+    this.startProcessors();
+
+    return job;
+  }
+
+  /**
+   * Cancel a queued job (including one waiting for a retry); running jobs can't be interrupted
+   * Returns the job, or null when it doesn't exist; throws when the job isn't queued
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    if (job.status !== 'queued') {
+      throw new Error(`Job ${id} is ${job.status}, only queued jobs can be cancelled`);
+    }
+
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.updatedAt = job.finishedAt;
+    this.save();
+
+    logger.info('Job cancelled', { jobId: job.id, itemId: job.itemId });
+    this.scheduleRetryWakeup();
+
+    return job;
+  }
+
+  /**
+   * Next job whose retry delay has passed (oldest first)
+   */
+  nextReadyJob() {
+    const now = Date.now();
+    return this.jobs.find(job => job.status === 'queued' && job.nextAttemptAt <= now) || null;
+  }
+
+  /**
+   * Start processors up to the concurrency limit
+   */
+  startProcessors() {
+    if (!this.handler) return;
+
+    while (this.activeProcessors < this.concurrency && this.nextReadyJob()) {
+      this.activeProcessors++;
+      logger.debug('Processor started', { activeProcessors: this.activeProcessors, concurrency: this.concurrency });
+      this.processQueue().catch(error => {
+        logger.error('Queue processor crashed', { error });
+      });
+    }
+
+    this.scheduleRetryWakeup();
+  }
+
+  /**
+   * Wake up when the earliest delayed retry becomes due
+   */
+  scheduleRetryWakeup() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const delayed = this.jobs.filter(job => job.status === 'queued' && job.nextAttemptAt > Date.now());
+    if (delayed.length === 0) return;
+
+    const nextAt = Math.min(...delayed.map(job => job.nextAttemptAt));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.startProcessors();
+    }, Math.max(0, nextAt - Date.now()));
+
+    // Don't keep the process alive just for retries
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Process ready jobs continuously
+   */
+  async processQueue() {
+    try {
+      let job;
+      while ((job = this.nextReadyJob())) {
+        job.status = 'active';
+        job.attempts++;
+        job.startedAt = Date.now();
+        job.updatedAt = job.startedAt;
+        this.save();
+
+        // Every line logged while the job runs carries its ids
+        await logger.runWithContext({ jobId: job.id, itemId: job.itemId, boardId: job.boardId }, async () => {
+          logger.info('Job started', { attempt: job.attempts, maxAttempts: this.maxAttempts, queueSize: this.getPendingCount(), activeProcessors: this.activeProcessors });
+
+          try {
+            const result = await this.handler(job);
+            this.complete(job, result);
+            logger.info('Job completed', { durationMs: job.durationMs, method: job.method });
+          } catch (error) {
+            logger.error('Job failed', { durationMs: Date.now() - job.startedAt, error });
+            this.fail(job, error);
+          }
+        });
+
+        // Small delay between items
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    } catch (processorError) {
+      logger.error('Processor crashed', { error: processorError });
+    } finally {
+      this.activeProcessors--;
+
+      // Always restart processors if there are more items
+      if (this.nextReadyJob() && this.activeProcessors < this.concurrency) {
+        logger.debug('Restarting processors', { queueSize: this.getPendingCount() });
+        this.startProcessors();
+      } else {
+        this.scheduleRetryWakeup();
+      }
+    }
+  }
+
+  /**
+   * result is the handler's summary of the job ({ method, ... }), shown by the jobs API
+   */
+  complete(job, result = null) {
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+    job.updatedAt = job.finishedAt;
+    job.durationMs = job.finishedAt - job.startedAt;
+    job.method = result && result.method ? result.method : null;
+    job.result = result;
+    job.lastError = null;
+    job.lastErrorType = null;
+    this.countFinished('completed', job.finishedAt);
+    this.save();
+  }
+
+  /**
+   * Whether a failed job gets no more attempts (limit reached, or error marked as not retryable)
+   */
+  isFinalFailure(job, error) {
+    return job.attempts >= this.maxAttempts || (error && error.retryable === false);
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  fail(job, error, save = true) {
+    job.lastError = error.message;
+    job.lastErrorType = error.code || error.name || null;
+    job.updatedAt = Date.now();
+    job.durationMs = job.startedAt ? job.updatedAt - job.startedAt : null;
+
+    if (this.isFinalFailure(job, error)) {
+      job.status = 'dead';
+      job.finishedAt = job.updatedAt;
+      this.countFinished('dead', job.finishedAt);
+      logger.error('Job moved to dead-letter list', { jobId: job.id, itemId: job.itemId, attempts: job.attempts, retryable: error.retryable !== false, errorType: job.lastErrorType });
+    } else {
+      const backoff = Math.min(this.retryBaseDelay * Math.pow(2, Math.max(0, job.attempts - 1)), this.retryMaxDelay);
+      // Rate-limited errors know when the budget resets
+      const delay = Math.max(backoff, error.retryAfterMs || 0);
+      job.status = 'queued';
+      job.nextAttemptAt = job.updatedAt + delay;
+      logger.warn('Job retry scheduled', { jobId: job.id, itemId: job.itemId, delayMs: delay });
+    }
+
+    if (save) this.save();
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,156 @@
+const client = require('prom-client');
+const jobQueue = require('./jobQueue');
+const workerPool = require('./workerPool');
+
+/**
+ * Prometheus metrics served on GET /metrics
+ *
+ * Recorded on the main thread only (each worker thread would have its own registry):
+ * extraction results come back from the worker pool and are counted in FileController.extractData.
+ */
+
+const PREFIX = 'invoice_';
+
+// Extraction latency buckets in seconds (text PDFs take ms, scanned multi-page PDFs with OCR minutes)
+const DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+class Metrics {
+  constructor() {
+    this.register = new client.Registry();
+    client.collectDefaultMetrics({ register: this.register, prefix: PREFIX });
+
+    this.queueDepth = new client.Gauge({
+      name: `${PREFIX}queue_depth`,
+      help: 'Jobs waiting in the processing queue (including delayed retries)',
+      registers: [this.register],
+      collect() {
+        this.set(jobQueue.getPendingCount());
+      }
+    });
+
+    this.deadJobs = new client.Gauge({
+      name: `${PREFIX}queue_dead_jobs`,
+      help: 'Jobs on the dead-letter list',
+      registers: [this.register],
+      collect() {
+        this.set(jobQueue.getDeadLetters().length);
+      }
+    });
+
+    this.activeProcessors = new client.Gauge({
+      name: `${PREFIX}queue_active_processors`,
+      help: 'Queue processors currently working on a job',
+      registers: [this.register],
+      collect() {
+        this.set(jobQueue.activeProcessors);
+      }
+    });
+
+    this.busyWorkers = new client.Gauge({
+      name: `${PREFIX}extraction_workers_busy`,
+      help: 'Extraction worker threads currently running a file',
+      registers: [this.register],
+      collect() {
+        this.set(workerPool.getStats().busy);
+      }
+    });
+
+    this.extractionDuration = new client.Histogram({
+      name: `${PREFIX}extraction_duration_seconds`,
+      help: 'Time to extract one file (download excluded), by extraction method',
+      labelNames: ['method'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.extractions = new client.Counter({
+      name: `${PREFIX}extractions_total`,
+      help: 'Extraction results by method; success means invoice data was found',
+      labelNames: ['method', 'outcome'],
+      registers: [this.register]
+    });
+
+    this.qrScans = new client.Counter({
+      name: `${PREFIX}qr_scans_total`,
+      help: 'Files scanned for a QR code, by the strategy that decoded it (none when not found)',
+      labelNames: ['strategy', 'outcome'],
+      registers: [this.register]
+    });
+
+    this.mondayRequests = new client.Counter({
+      name: `${PREFIX}monday_api_requests_total`,
+      help: 'Monday.com API calls (each retry counts), by operation and outcome',
+      labelNames: ['operation', 'outcome'],
+      registers: [this.register]
+    });
+
+    this.mondayErrors = new client.Counter({
+      name: `${PREFIX}monday_api_errors_total`,
+      help: 'Failed Monday.com API calls by operation and error type',
+      labelNames: ['operation', 'type'],
+      registers: [this.register]
+    });
+  }
+
+  /**
+   * Count a finished extraction; archives and multi-invoice files count every entry
+   */
+  recordExtraction(extractedData, durationMs) {
+    this.extractionDuration.observe({ method: extractedData.method || 'unknown' }, durationMs / 1000);
+
+    for (const result of extractedData.entries || [extractedData]) {
+      const method = result.method || 'unknown';
+      const found = (result.totalValue !== null && result.totalValue !== undefined) || Boolean(result.invoiceNumber);
+      this.extractions.inc({ method, outcome: found ? 'success' : 'failure' });
+
+      if (result.strategiesTried && result.strategiesTried.length > 0) {
+        this.qrScans.inc({
+          strategy: result.qrStrategy ? this.strategyLabel(result.qrStrategy) : 'none',
+          outcome: result.qrStrategy ? 'found' : 'not_found'
+        });
+      }
+    }
+  }
+
+  recordExtractionError(durationMs) {
+    this.extractionDuration.observe({ method: 'error' }, durationMs / 1000);
+    this.extractions.inc({ method: 'error', outcome: 'failure' });
+  }
+
+  /**
+   * Strategy name without frame/page/scale/region numbers, so the label set stays small
+   * "f2:p1@2x:roi1@6px:normalize" → "roi:normalize", "posterize-2" stays "posterize-2"
+   */
+  strategyLabel(strategy) {
+    return strategy
+      .replace(/^f\d+:/, '')
+      .replace(/^p\d+@[\d.]+x:/, '')
+      .replace(/^roi\d+@\d+px:/, 'roi:');
+  }
+
+  recordMondayCall(operation, error = null) {
+    this.mondayRequests.inc({ operation, outcome: error ? 'error' : 'success' });
+    if (error) {
+      this.mondayErrors.inc({ operation, type: error.name || 'Error' });
+    }
+  }
+
+  /**
+   * GraphQL operation name for labels: first root field, e.g. "query:items", "mutation:change_multiple_column_values"
+   * The complexity field some queries request first is skipped
+   */
+  operationName(query) {
+    const match = /^\s*(query|mutation)?\b[^{]*\{\s*(\w+)/.exec((query || '').replace(/complexity\s*\{[^}]*\}/, ''));
+    return match ? `${match[1] || 'query'}:${match[2]}` : 'unknown';
+  }
+
+  contentType() {
+    return this.register.contentType;
+  }
+
+  async render() {
+    return this.register.metrics();
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Offline OCR (tesseract.js) used as a last resort when no QR code can be decoded
+ * Language data ships with the @tesseract.js-data packages, so nothing is downloaded at runtime
+ */
+class OcrService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = (process.env.OCR_LANGUAGES || 'por,eng').split(',').map(lang => lang.trim()).filter(Boolean);
+    this.langPath = path.join('data', 'tessdata');
+    this.maxPdfPages = parseInt(process.env.OCR_MAX_PDF_PAGES, 10) || 3;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Collect the bundled traineddata files into one directory (tesseract.js takes a single langPath)
+   */
+  prepareLanguageData() {
+    if (!fs.existsSync(this.langPath)) {
+      fs.mkdirSync(this.langPath, { recursive: true });
+    }
+
+    for (const lang of this.languages) {
+      const target = path.join(this.langPath, `${lang}.traineddata.gz`);
+      if (fs.existsSync(target)) continue;
+
+      const langData = require(`@tesseract.js-data/${lang}`);
+      fs.copyFileSync(path.join(langData.langPath, `${lang}.traineddata.gz`), target);
+    }
+  }
+
+  /**
+   * Lazily start a single shared worker (loading languages takes a few seconds)
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        this.prepareLanguageData();
+
+        const { createWorker } = require('tesseract.js');
+        const worker = await createWorker(this.languages.join('+'), 1, {
+          langPath: path.resolve(this.langPath),
+          cachePath: path.resolve(this.langPath),
+          gzip: true
+        });
+
+        logger.info('OCR worker ready', { languages: this.languages });
+        return worker;
+      })();
+
+      // Let the next call retry if startup failed
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognize text in an image (file path or image Buffer)
+   * Returns { text, confidence } or null when OCR is disabled or fails
+   */
+  async recognize(image) {
+    if (!this.enabled) return null;
+
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+
+      return {
+        text: data.text || '',
+        confidence: typeof data.confidence === 'number' ? data.confidence / 100 : null
+      };
+    } catch (error) {
+      logger.warn('OCR failed', { error });
+      return null;
+    }
+  }
+
+  async terminate() {
+    if (!this.workerPromise) return;
+
+    try {
+      const worker = await this.workerPromise;
+      await worker.terminate();
+    } catch (error) {
+      // Worker never started
+    }
+    this.workerPromise = null;
+  }
+}
+
+module.exports = new OcrService();
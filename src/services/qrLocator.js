@@ -0,0 +1,308 @@
+/**
+ * Locates QR codes in a low-resolution bitmap by their finder patterns (the 1:1:3:1:1 squares in
+ * three corners), so only those regions need to be rendered or upscaled and decoded
+ *
+ * Works on { width, height, data } RGBA bitmaps (Jimp, canvas ImageData, decoded frames).
+ */
+
+// Binarization block size and minimum contrast for a block to have its own threshold
+const BLOCK_SIZE = 16;
+const MIN_BLOCK_CONTRAST = 24;
+
+// Modules around the finder pattern centers kept when cropping (3.5 to the edge + 4 quiet zone + slack)
+const REGION_PADDING_MODULES = 9;
+
+// A lone finder pattern (the other two were missed) is expanded this far in every direction
+const LONE_PATTERN_MODULES = 60;
+
+// Regions returned at most, best first
+const MAX_CANDIDATES = 5;
+
+class QrLocator {
+  /**
+   * Candidate regions { x, y, width, height, moduleSize, patterns } in bitmap coordinates, best first
+   */
+  locate(bitmap) {
+    const { width, height } = bitmap;
+    const binary = this.binarize(bitmap);
+    const patterns = this.findFinderPatterns(binary, width, height)
+      .filter(pattern => pattern.count >= 2)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 30);
+
+    return this.groupPatterns(patterns, width, height);
+  }
+
+  /**
+   * Dark (1) / light (0) map using a local threshold per block, averaged over the 5x5 neighbouring blocks
+   * Transparent pixels count as white (PDF canvases)
+   */
+  binarize({ data, width, height }) {
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+      const alpha = data[p + 3] / 255;
+      const value = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+      luminance[i] = value * alpha + 255 * (1 - alpha);
+    }
+
+    const blocksX = Math.ceil(width / BLOCK_SIZE);
+    const blocksY = Math.ceil(height / BLOCK_SIZE);
+    const thresholds = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        let min = 255;
+        let max = 0;
+
+        for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+          for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+            const value = luminance[y * width + x];
+            sum += value;
+            count++;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+        }
+
+        // Flat blocks (blank paper, solid fills) are dark only if they're really dark
+        thresholds[by * blocksX + bx] = max - min < MIN_BLOCK_CONTRAST ? min / 2 : sum / count;
+      }
+    }
+
+    const binary = new Uint8Array(width * height);
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+          for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+            sum += thresholds[ny * blocksX + nx];
+            count++;
+          }
+        }
+        const threshold = sum / count;
+
+        for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+          for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+            binary[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+          }
+        }
+      }
+    }
+
+    return binary;
+  }
+
+  /**
+   * Scan every row for dark/light/dark/light/dark runs in 1:1:3:1:1 proportion,
+   * confirm each hit vertically and horizontally, and merge hits on the same pattern
+   */
+  findFinderPatterns(binary, width, height) {
+    const patterns = [];
+
+    for (let y = 0; y < height; y++) {
+      const counts = [0, 0, 0, 0, 0];
+      let state = 0;
+
+      for (let x = 0; x < width; x++) {
+        if (binary[y * width + x]) {
+          // Dark pixel: a light run just ended
+          if (state & 1) state++;
+          counts[state]++;
+        } else if (state & 1) {
+          counts[state]++;
+        } else if (state === 4) {
+          // Light pixel after the fifth run - check the candidate, then keep the last three runs
+          if (this.isFinderRatio(counts)) {
+            this.checkCandidate(binary, width, height, counts, x, y, patterns);
+          }
+          counts[0] = counts[2];
+          counts[1] = counts[3];
+          counts[2] = counts[4];
+          counts[3] = 1;
+          counts[4] = 0;
+          state = 3;
+        } else {
+          counts[++state]++;
+        }
+      }
+
+      if (state === 4 && this.isFinderRatio(counts)) {
+        this.checkCandidate(binary, width, height, counts, width, y, patterns);
+      }
+    }
+
+    return patterns;
+  }
+
+  isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7 || counts.some(count => count === 0)) return false;
+
+    const moduleSize = total / 7;
+    const maxVariance = moduleSize / 2;
+
+    return Math.abs(moduleSize - counts[0]) < maxVariance &&
+      Math.abs(moduleSize - counts[1]) < maxVariance &&
+      Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+      Math.abs(moduleSize - counts[3]) < maxVariance &&
+      Math.abs(moduleSize - counts[4]) < maxVariance;
+  }
+
+  /**
+   * Confirm a row hit by crossing the pattern vertically, then horizontally through the found center
+   */
+  checkCandidate(binary, width, height, counts, endX, y, patterns) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const centerX = Math.floor(endX - counts[4] - counts[3] - counts[2] / 2);
+
+    const vertical = this.crossCheck(binary, width, height, centerX, y, true, counts[2], total);
+    if (!vertical) return;
+
+    const horizontal = this.crossCheck(binary, width, height, Math.floor(vertical.center), centerX, false, counts[2], total);
+    if (!horizontal) return;
+
+    const point = { x: horizontal.center, y: vertical.center, moduleSize: (vertical.total + horizontal.total) / 14 };
+
+    const existing = patterns.find(pattern =>
+      Math.abs(pattern.x - point.x) <= pattern.moduleSize &&
+      Math.abs(pattern.y - point.y) <= pattern.moduleSize &&
+      Math.abs(pattern.moduleSize - point.moduleSize) <= Math.max(1, pattern.moduleSize / 2)
+    );
+
+    if (existing) {
+      // Running average of every confirmed hit on this pattern
+      const weight = existing.count + 1;
+      existing.x = (existing.x * existing.count + point.x) / weight;
+      existing.y = (existing.y * existing.count + point.y) / weight;
+      existing.moduleSize = (existing.moduleSize * existing.count + point.moduleSize) / weight;
+      existing.count = weight;
+    } else {
+      patterns.push({ ...point, count: 1 });
+    }
+  }
+
+  /**
+   * Count the five runs through (fixed, start) along a column (vertical) or row
+   * Returns { center, total } or null when the runs are not a finder pattern
+   */
+  crossCheck(binary, width, height, fixed, start, vertical, maxCount, originalTotal) {
+    const limit = vertical ? height : width;
+    const isDark = position => (vertical ? binary[position * width + fixed] : binary[fixed * width + position]) === 1;
+    const counts = [0, 0, 0, 0, 0];
+
+    if (fixed < 0 || fixed >= (vertical ? width : height) || !isDark(start)) return null;
+
+    let position = start;
+    while (position >= 0 && isDark(position)) { counts[2]++; position--; }
+    while (position >= 0 && !isDark(position) && counts[1] <= maxCount) { counts[1]++; position--; }
+    if (position < 0 || counts[1] > maxCount) return null;
+    while (position >= 0 && isDark(position) && counts[0] <= maxCount) { counts[0]++; position--; }
+    if (counts[0] > maxCount) return null;
+
+    position = start + 1;
+    while (position < limit && isDark(position)) { counts[2]++; position++; }
+    while (position < limit && !isDark(position) && counts[3] <= maxCount) { counts[3]++; position++; }
+    if (position >= limit || counts[3] > maxCount) return null;
+    while (position < limit && isDark(position) && counts[4] <= maxCount) { counts[4]++; position++; }
+    if (counts[4] > maxCount) return null;
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return null;
+    if (!this.isFinderRatio(counts)) return null;
+
+    return { center: position - counts[4] - counts[3] - counts[2] / 2, total };
+  }
+
+  /**
+   * Turn finder patterns into crop regions
+   * Three patterns forming a right isosceles triangle are one QR code; leftovers get a generous box
+   */
+  groupPatterns(patterns, width, height) {
+    const regions = [];
+    const used = new Set();
+
+    for (const corner of patterns) {
+      if (used.has(corner)) continue;
+
+      const triple = this.findTriple(corner, patterns.filter(pattern => pattern !== corner && !used.has(pattern)));
+      if (!triple) continue;
+
+      triple.forEach(pattern => used.add(pattern));
+      const [a, b, c] = triple;
+      // Fourth corner of the (possibly rotated) square
+      const d = { x: b.x + c.x - a.x, y: b.y + c.y - a.y };
+      const moduleSize = (a.moduleSize + b.moduleSize + c.moduleSize) / 3;
+
+      regions.push(this.boundingRegion([a, b, c, d], moduleSize, REGION_PADDING_MODULES, width, height, 3, triple));
+    }
+
+    for (const pattern of patterns) {
+      if (used.has(pattern)) continue;
+
+      // Stray hits inside an already complete code (alignment pattern, noisy module) add nothing
+      const inside = regions.some(region =>
+        pattern.x >= region.x && pattern.x <= region.x + region.width &&
+        pattern.y >= region.y && pattern.y <= region.y + region.height
+      );
+      if (inside) continue;
+
+      regions.push(this.boundingRegion([pattern], pattern.moduleSize, LONE_PATTERN_MODULES, width, height, 1, [pattern]));
+    }
+
+    return regions
+      .sort((a, b) => b.patterns - a.patterns || b.score - a.score)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ score, ...region }) => region);
+  }
+
+  /**
+   * Two patterns that, with corner, form a right angle at corner with equal legs (25% tolerance)
+   */
+  findTriple(corner, others) {
+    const similar = others.filter(pattern =>
+      Math.max(pattern.moduleSize, corner.moduleSize) / Math.min(pattern.moduleSize, corner.moduleSize) < 1.5
+    );
+
+    for (let i = 0; i < similar.length; i++) {
+      for (let j = i + 1; j < similar.length; j++) {
+        const b = similar[i];
+        const c = similar[j];
+        const ab = Math.hypot(b.x - corner.x, b.y - corner.y);
+        const ac = Math.hypot(c.x - corner.x, c.y - corner.y);
+        const bc = Math.hypot(c.x - b.x, c.y - b.y);
+
+        // Legs span at least the 14 modules of version 1, at most the 177 of version 40
+        if (Math.min(ab, ac) < 14 * corner.moduleSize || Math.max(ab, ac) > 180 * corner.moduleSize) continue;
+        if (Math.abs(ab - ac) > 0.25 * Math.max(ab, ac)) continue;
+        if (Math.abs(bc - Math.SQRT2 * (ab + ac) / 2) > 0.25 * bc) continue;
+
+        return [corner, b, c];
+      }
+    }
+
+    return null;
+  }
+
+  boundingRegion(points, moduleSize, paddingModules, width, height, patternCount, patterns) {
+    const padding = moduleSize * paddingModules;
+    const x0 = Math.max(0, Math.floor(Math.min(...points.map(point => point.x)) - padding));
+    const y0 = Math.max(0, Math.floor(Math.min(...points.map(point => point.y)) - padding));
+    const x1 = Math.min(width, Math.ceil(Math.max(...points.map(point => point.x)) + padding));
+    const y1 = Math.min(height, Math.ceil(Math.max(...points.map(point => point.y)) + padding));
+
+    return {
+      x: x0,
+      y: y0,
+      width: x1 - x0,
+      height: y1 - y0,
+      moduleSize,
+      patterns: patternCount,
+      score: patterns.reduce((sum, pattern) => sum + pattern.count, 0)
+    };
+  }
+}
+
+module.exports = new QrLocator();
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * QR decode telemetry and adaptive ordering, persisted to a local JSON file
+ *
+ * Four kinds of stats, each { name: { attempts, successes } }:
+ *   roi     - preprocessing strategies on located QR regions
+ *   full    - preprocessing strategies on the whole image (fallback)
+ *   scale   - target QR module size (px) regions are rendered/upscaled to
+ *   decoder - jsqr, zxing-hybrid, zxing-global
+ *
+ * Kept globally and per supplier (issuer NIF). The main thread records every scanned document;
+ * worker threads only read the file to order their attempts.
+ */
+
+// Order only changes once this many documents have been recorded (globally / for the supplier)
+const MIN_DOCUMENTS = parseInt(process.env.QR_STATS_MIN_DOCUMENTS, 10) || 20;
+const MIN_SUPPLIER_DOCUMENTS = 5;
+
+// Suppliers kept in the file, least recently seen dropped first
+const MAX_SUPPLIERS = 500;
+
+// Attempt names: [f<frame>:][p<page>@<scale>x:](roi<region>@<module>px:)<strategy>
+const ATTEMPT_PATTERN = /^(?:f\d+:)?(p\d+@[\d.]+x:)?(?:(roi\d+)@(\d+)px:)?([\w-]+)$/;
+
+const KINDS = ['roi', 'full', 'scale', 'decoder'];
+
+class QrStats {
+  constructor() {
+    this.filePath = process.env.QR_STATS_FILE || path.join('data', 'qr-stats.json');
+    this.adaptive = process.env.QR_ADAPTIVE !== 'false';
+    this.perSupplier = process.env.QR_STATS_PER_SUPPLIER !== 'false';
+
+    this.stats = null;
+    this.loadedMtime = null;
+  }
+
+  emptyScope() {
+    return { documents: 0, found: 0, roi: {}, full: {}, scale: {}, decoder: {} };
+  }
+
+  /**
+   * (Re)load the file when it changed on disk - workers pick up what the main thread records
+   */
+  load() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      // No stats yet
+    }
+
+    if (this.stats && mtime === this.loadedMtime) return this.stats;
+
+    this.stats = { version: 1, updatedAt: null, global: this.emptyScope(), suppliers: {} };
+    this.loadedMtime = mtime;
+
+    if (mtime !== null) {
+      try {
+        const content = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.stats = { ...this.stats, ...content };
+      } catch (error) {
+        // Telemetry only - start over rather than fail extractions
+        logger.warn('Could not read QR stats, starting from scratch', { file: this.filePath, error });
+      }
+    }
+
+    return this.stats;
+  }
+
+  /**
+   * Write atomically (temp file + rename) so readers never see half a file
+   */
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    this.stats.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.stats, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Attempt order for one scan: { roi, full, scale, decoder } arrays of names, best first
+   * defaults holds the same keys in the built-in order; supplierHint is an issuer NIF read before scanning
+   */
+  plan(defaults, supplierHint = null) {
+    if (!this.adaptive) return defaults;
+
+    const stats = this.load();
+    const supplier = this.perSupplier && supplierHint ? stats.suppliers[supplierHint] : null;
+    const scope = supplier && supplier.documents >= MIN_SUPPLIER_DOCUMENTS ? supplier : stats.global;
+
+    if (scope.documents < MIN_DOCUMENTS && scope !== supplier) return defaults;
+
+    return Object.fromEntries(KINDS.map(kind => [kind, this.rank(defaults[kind], scope[kind] || {})]));
+  }
+
+  /**
+   * Sort by smoothed success rate (successes + 1) / (attempts + 2); ties keep the built-in order,
+   * and names never attempted score 0.5 so they still get a chance
+   */
+  rank(names, counts) {
+    const score = name => {
+      const { attempts = 0, successes = 0 } = counts[name] || {};
+      return (successes + 1) / (attempts + 2);
+    };
+
+    return names
+      .map((name, index) => ({ name, index, score: score(name) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ name }) => name);
+  }
+
+  /**
+   * Record one scanned document from its extraction result (strategiesTried, qrStrategy, qrDecodersTried, issuerNIF)
+   */
+  record(result) {
+    if (!result.strategiesTried || result.strategiesTried.length === 0) return;
+
+    const stats = this.load();
+    const scopes = [stats.global];
+
+    if (this.perSupplier && result.issuerNIF) {
+      const nif = String(result.issuerNIF);
+      stats.suppliers[nif] = stats.suppliers[nif] || this.emptyScope();
+      stats.suppliers[nif].lastSeen = Date.now();
+      scopes.push(stats.suppliers[nif]);
+    }
+
+    const tally = (kind, name, success) => {
+      for (const scope of scopes) {
+        const entry = scope[kind][name] = scope[kind][name] || { attempts: 0, successes: 0 };
+        entry.attempts++;
+        if (success) entry.successes++;
+      }
+    };
+
+    // One scale attempt per region render, however many strategies ran on it
+    const renders = new Map();
+
+    for (const attempt of result.strategiesTried) {
+      const parsed = ATTEMPT_PATTERN.exec(attempt);
+      if (!parsed) continue;
+
+      const [, pagePrefix, region, modulePx, strategy] = parsed;
+      const success = attempt === result.qrStrategy;
+
+      if (region) {
+        tally('roi', strategy, success);
+        const renderKey = `${pagePrefix || ''}${region}@${modulePx}`;
+        renders.set(renderKey, { modulePx, success: success || (renders.has(renderKey) && renders.get(renderKey).success) });
+      } else {
+        tally('full', strategy, success);
+      }
+    }
+
+    for (const { modulePx, success } of renders.values()) {
+      tally('scale', modulePx, success);
+    }
+
+    const decoders = result.qrDecodersTried || [];
+    decoders.forEach((decoder, index) => tally('decoder', decoder, index === decoders.length - 1 && Boolean(result.qrStrategy)));
+
+    for (const scope of scopes) {
+      scope.documents++;
+      if (result.qrStrategy) scope.found++;
+    }
+
+    this.pruneSuppliers(stats);
+    this.save();
+  }
+
+  pruneSuppliers(stats) {
+    const nifs = Object.keys(stats.suppliers);
+    if (nifs.length <= MAX_SUPPLIERS) return;
+
+    nifs
+      .sort((a, b) => (stats.suppliers[a].lastSeen || 0) - (stats.suppliers[b].lastSeen || 0))
+      .slice(0, nifs.length - MAX_SUPPLIERS)
+      .forEach(nif => delete stats.suppliers[nif]);
+  }
+
+  /**
+   * Stats plus the order currently used for documents without a supplier hint
+   */
+  getSummary(defaults) {
+    const stats = this.load();
+    return {
+      adaptive: this.adaptive,
+      perSupplier: this.perSupplier,
+      minDocuments: MIN_DOCUMENTS,
+      order: this.plan(defaults),
+      global: stats.global,
+      supplierCount: Object.keys(stats.suppliers).length,
+      updatedAt: stats.updatedAt
+    };
+  }
+}
+
+module.exports = new QrStats();
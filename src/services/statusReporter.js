@@ -0,0 +1,150 @@
+const mondayController = require('../controllers/mondayController');
+const boardConfig = require('../config/boardConfig');
+const logger = require('../utils/logger');
+
+// Strategies listed per file in failure updates before truncating
+const MAX_STRATEGIES_LISTED = 40;
+
+/**
+ * Writes extraction progress back to the Monday item: a status label and, on failure, an update explaining why
+ * Reporting never throws - a failed status write must not hide the extraction result
+ */
+class StatusReporter {
+  async markProcessing(boardId, itemId) {
+    await this.setStatus(boardId, itemId, 'processing');
+  }
+
+  async markDone(boardId, itemId, invoices) {
+    await this.setStatus(boardId, itemId, 'done');
+
+    // Several invoices on one item: only the first is written to the columns, so list them all
+    if (invoices.length > 1) {
+      const lines = [
+        `<b>${invoices.length} distinct invoices found</b> - the columns hold invoice 1.`,
+        ...invoices.map((invoice, index) =>
+          `${index + 1}. ${this.escape(invoice.fileName)}: ${this.escape(invoice.invoiceNumber || 'N/A')} | Total ${invoice.totalValue ?? 'N/A'} | NIF ${this.escape(invoice.issuerNIF || 'N/A')}`
+        )
+      ];
+      await this.postUpdate(boardId, itemId, lines);
+    }
+  }
+
+  /**
+   * No file produced any data - explain what was tried per file
+   */
+  async markQrNotFound(boardId, itemId, attempts) {
+    await this.setStatus(boardId, itemId, 'qrNotFound');
+
+    const lines = ['<b>Invoice data not found</b>'];
+
+    if (attempts.length === 0) {
+      lines.push('No files attached.');
+    }
+
+    for (const attempt of attempts) {
+      lines.push(`📄 ${this.escape(attempt.fileName)} - method: ${this.escape(attempt.method || 'unknown')}`);
+      if (attempt.error) {
+        lines.push(`&nbsp;&nbsp;Error: ${this.escape(attempt.error)}`);
+      }
+      if (attempt.strategiesTried && attempt.strategiesTried.length > 0) {
+        lines.push(`&nbsp;&nbsp;Strategies tried (${attempt.strategiesTried.length}): ${this.escape(this.summarizeStrategies(attempt.strategiesTried))}`);
+      }
+    }
+
+    await this.postUpdate(boardId, itemId, lines);
+  }
+
+  /**
+   * Same invoice already on the board - flag it and link to the original, columns stay untouched
+   */
+  async markDuplicate(boardId, itemId, extractedData, original) {
+    await this.setStatus(boardId, itemId, 'duplicate');
+
+    const board = boardConfig.getBoard(boardId);
+    if (board.duplicateOfColumn) {
+      try {
+        await mondayController.setDuplicateOf(boardId, itemId, board.duplicateOfColumn, original);
+      } catch (error) {
+        logger.warn('Duplicate link failed', { error });
+      }
+    }
+
+    const originalLink = original.url
+      ? `<a href="${this.escape(original.url)}">${this.escape(original.name || `#${original.id}`)}</a>`
+      : `${this.escape(original.name || '')} (#${original.id})`;
+
+    await this.postUpdate(boardId, itemId, [
+      '<b>Possible duplicate invoice</b> - extracted data was not written.',
+      `Invoice ${this.escape(extractedData.invoiceNumber || extractedData.atcud || 'N/A')} (NIF ${this.escape(extractedData.issuerNIF || 'N/A')}) already exists on ${originalLink}.`,
+      `Matched on: ${this.escape(original.matchedOn)}`
+    ]);
+  }
+
+  async markError(boardId, itemId, error, attempts = 1) {
+    await this.setStatus(boardId, itemId, 'error');
+
+    const lines = [
+      '<b>Extraction failed</b>',
+      `Error: ${this.escape(error.message)}`,
+      `Attempts: ${attempts}`
+    ];
+
+    await this.postUpdate(boardId, itemId, lines);
+  }
+
+  async setStatus(boardId, itemId, state) {
+    const board = boardConfig.getBoard(boardId);
+    if (!board.extractionStatusColumn) return;
+
+    const label = (board.extractionStatusLabels || {})[state];
+    if (!label) return;
+
+    try {
+      await mondayController.setItemStatus(boardId, itemId, board.extractionStatusColumn, label);
+    } catch (error) {
+      logger.warn('Status update failed', { label, error });
+    }
+  }
+
+  async postUpdate(boardId, itemId, lines) {
+    if (!boardConfig.getBoard(boardId).postUpdates) return;
+
+    try {
+      await mondayController.createItemUpdate(itemId, lines.join('<br>'));
+    } catch (error) {
+      logger.warn('Item update failed', { error });
+    }
+  }
+
+  /**
+   * Compact "p1@4x:original" style entries into "p1@4x: original, greyscale, ..."
+   */
+  summarizeStrategies(strategiesTried) {
+    const groups = new Map();
+
+    strategiesTried.slice(0, MAX_STRATEGIES_LISTED).forEach(entry => {
+      const separator = entry.lastIndexOf(':');
+      const prefix = separator > 0 ? entry.substring(0, separator) : '';
+      const name = separator > 0 ? entry.substring(separator + 1) : entry;
+
+      if (!groups.has(prefix)) groups.set(prefix, []);
+      groups.get(prefix).push(name);
+    });
+
+    const summary = [...groups.entries()]
+      .map(([prefix, names]) => (prefix ? `${prefix}: ${names.join(', ')}` : names.join(', ')))
+      .join(' | ');
+
+    return strategiesTried.length > MAX_STRATEGIES_LISTED ? `${summary} …` : summary;
+  }
+
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new StatusReporter();
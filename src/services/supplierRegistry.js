@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const invoiceValidator = require('./invoiceValidator');
+const logger = require('../utils/logger');
+
+// Longest supplier name accepted when learning
+const MAX_LEARNED_NAME_LENGTH = 100;
+
+// Tax id label as printed next to the issuer NIF on text and OCR invoices
+const NIF_LABEL_PATTERN = /\b(?:NIF|NIPC|contribuinte|VAT\s*(?:no|number)?)\b/i;
+
+// Address lines skipped above the NIF label when looking for the name
+const MAX_ADDRESS_LINES = 3;
+
+// Lines above the NIF label that hold the address rather than the name
+const ADDRESS_LINE_PATTERN = /^(?:rua|r\.|av\.?|avenida|travessa|largo|pra[çc]a|estrada|alameda|tel\.?|telefone|e-?mail|www\.)\b|\b\d{4}-\d{3}\b/i;
+
+// Document headers and page footers that sit where a name would be
+const GENERIC_HEADER_PATTERN = /^(?:fa[ct]?tura(?:[\s-]+(?:recibo|simplificada))?|recibo|nota\s+de\s+(?:cr[ée]dito|d[ée]bito)|original|duplicado|triplicado|2\.?ª?\s*via|segunda\s+via|c[óo]pia|invoice|receipt|credit\s+note|documento|p[áa]gina\s*\d+(?:\s*(?:de|\/)\s*\d+)?|page\s*\d+(?:\s*(?:of|\/)\s*\d+)?)\b/i;
+
+// Sources in increasing priority: text guesses give way to structured names, which give way to manual edits
+const SOURCE_PRIORITY = { 'learned-text': 0, learned: 1, manual: 2 };
+
+/**
+ * Local supplier master data: issuer NIF → canonical name and metadata, stored in a JSON file
+ *
+ * Entry: { nif, name, mondayItemId, metadata, source: 'manual' | 'learned' | 'learned-text', createdAt, updatedAt }
+ * - Extraction fills supplierName (and supplierItemId for the Suppliers board link) from the issuer NIF
+ * - Unknown NIFs are learned from structured e-invoices (UBL, SAF-T) as 'learned', and from text and OCR
+ *   as 'learned-text' - only from the line next to the issuer NIF label, never a generic header
+ *   ("FATURA", "Página 1 de 2") or an address
+ * - Priority: manual > learned > learned-text; a structured e-invoice upgrades a 'learned-text' entry
+ */
+class SupplierRegistry {
+  constructor() {
+    this.filePath = process.env.SUPPLIER_REGISTRY_FILE || path.join('data', 'suppliers.json');
+    this.suppliers = null;
+  }
+
+  /**
+   * Read the registry on first use
+   */
+  load() {
+    if (this.suppliers) return this.suppliers;
+
+    this.suppliers = new Map();
+    if (!fs.existsSync(this.filePath)) return this.suppliers;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const supplier of content.suppliers || []) {
+        this.suppliers.set(supplier.nif, supplier);
+      }
+    } catch (error) {
+      // Keep the broken file for inspection instead of overwriting it
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, backupPath);
+      logger.error('Could not read supplier registry, moved it aside', { file: this.filePath, backupPath, error });
+    }
+
+    return this.suppliers;
+  }
+
+  /**
+   * Write atomically (temp file + rename) so a crash never leaves half a file
+   */
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const suppliers = [...this.load().values()].sort((a, b) => a.nif.localeCompare(b.nif));
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ suppliers }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  normalizeNIF(nif) {
+    return String(nif || '').replace(/\s+/g, '').replace(/^PT/i, '');
+  }
+
+  list() {
+    return [...this.load().values()];
+  }
+
+  get(nif) {
+    return this.load().get(this.normalizeNIF(nif)) || null;
+  }
+
+  /**
+   * Create or replace a supplier (API edits are always 'manual')
+   * Throws on an invalid NIF or missing name
+   */
+  upsert(nif, { name, mondayItemId = null, metadata = {} }, source = 'manual') {
+    const key = this.normalizeNIF(nif);
+
+    if (!invoiceValidator.isValidNIF(key)) {
+      throw new Error(`Invalid NIF ${nif}`);
+    }
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Supplier name is required');
+    }
+
+    const existing = this.get(key);
+    const now = new Date().toISOString();
+    const supplier = {
+      nif: key,
+      name: name.trim(),
+      mondayItemId: mondayItemId ? String(mondayItemId) : null,
+      metadata: metadata && typeof metadata === 'object' ? metadata : {},
+      source,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.load().set(key, supplier);
+    this.save();
+
+    return supplier;
+  }
+
+  remove(nif) {
+    const removed = this.load().delete(this.normalizeNIF(nif));
+    if (removed) this.save();
+    return removed;
+  }
+
+  /**
+   * Fill supplierName/supplierItemId from the issuer NIF, or learn the NIF if it's new
+   */
+  enrich(extractedData) {
+    if (!extractedData.issuerNIF) return extractedData;
+
+    const supplier = this.get(extractedData.issuerNIF);
+
+    if (!supplier) {
+      this.learn(extractedData);
+      return extractedData;
+    }
+
+    const structuredName = this.isStructured(extractedData) && (extractedData.supplierName || '').trim();
+
+    if (structuredName && supplier.source === 'learned-text') {
+      this.learn(extractedData, supplier);
+    } else if (!(structuredName && supplier.source === 'learned')) {
+      extractedData.supplierName = supplier.name;
+    }
+
+    extractedData.supplierItemId = supplier.mondayItemId;
+    return extractedData;
+  }
+
+  /**
+   * Names read from XML e-invoices are the issuer's own; text, OCR and QR names are guesses or absent
+   */
+  isStructured(extractedData) {
+    return String(extractedData.method || '').startsWith('xml-');
+  }
+
+  /**
+   * Remember a NIF/name pair: the issuer name of a structured e-invoice, otherwise the line next to
+   * the issuer NIF label of its text (QR codes carry no supplier name)
+   */
+  learn(extractedData, existing = null) {
+    const nif = this.normalizeNIF(extractedData.issuerNIF);
+    if (!invoiceValidator.isValidNIF(nif)) return;
+
+    const source = this.isStructured(extractedData) ? 'learned' : 'learned-text';
+    if (existing && SOURCE_PRIORITY[existing.source] >= SOURCE_PRIORITY[source]) return;
+
+    const name = source === 'learned'
+      ? (extractedData.supplierName || '').trim()
+      : this.nameNextToNIF(extractedData.text, nif);
+    if (!name || name.length > MAX_LEARNED_NAME_LENGTH) return;
+
+    try {
+      this.upsert(nif, {
+        name,
+        mondayItemId: existing ? existing.mondayItemId : undefined,
+        metadata: existing ? existing.metadata : undefined
+      }, source);
+      extractedData.supplierName = name;
+      logger.info('Learned supplier', { nif, name, source });
+    } catch (error) {
+      logger.warn('Could not save supplier', { nif, error });
+    }
+  }
+
+  /**
+   * Supplier name printed with the issuer NIF: before the label on the same line ("Café Central, NIF 512345678"),
+   * otherwise the nearest line above it that is not part of the address
+   */
+  nameNextToNIF(text, nif) {
+    if (typeof text !== 'string') return null;
+
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const index = lines.findIndex(line => NIF_LABEL_PATTERN.test(line) && line.replace(/\s/g, '').includes(nif));
+    if (index === -1) return null;
+
+    const label = lines[index].match(NIF_LABEL_PATTERN);
+    const sameLine = lines[index].slice(0, label.index).replace(/[\s,;|–-]+$/, '');
+    if (sameLine) return this.isPlausibleName(sameLine) ? sameLine : null;
+
+    for (let i = index - 1; i >= Math.max(0, index - 1 - MAX_ADDRESS_LINES); i--) {
+      if (!lines[i] || ADDRESS_LINE_PATTERN.test(lines[i])) continue;
+      return this.isPlausibleName(lines[i]) ? lines[i] : null;
+    }
+
+    return null;
+  }
+
+  isPlausibleName(line) {
+    const letters = (line.match(/\p{L}/gu) || []).length;
+    return letters >= 3 && letters >= line.replace(/\s/g, '').length / 2 && !GENERIC_HEADER_PATTERN.test(line);
+  }
+}
+
+module.exports = new SupplierRegistry();
@@ -0,0 +1,177 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { WorkerPoolError, WorkerTimeoutError, WorkerMemoryError } = require('../errors/workerErrors');
+const logger = require('../utils/logger');
+
+/**
+ * Pool of worker threads running file extraction (PDF rendering, image preprocessing, QR decoding, OCR)
+ * so the main event loop stays free for HTTP requests and webhooks
+ *
+ * - Workers start lazily, up to WORKER_POOL_SIZE; extra jobs wait in FIFO order
+ * - Each worker's heap is capped (WORKER_MAX_MEMORY_MB) - hitting it fails the job, not the process
+ * - A job running past WORKER_JOB_TIMEOUT_MS terminates its worker
+ * - Workers are replaced after WORKER_MAX_JOBS jobs, which returns all their memory at once
+ */
+class WorkerPool {
+  constructor(workerFile) {
+    this.workerFile = workerFile;
+    this.size = parseInt(process.env.WORKER_POOL_SIZE, 10) || Math.max(1, Math.min(4, os.availableParallelism() - 1));
+    this.maxMemoryMb = parseInt(process.env.WORKER_MAX_MEMORY_MB, 10) || 1536;
+    this.jobTimeout = parseInt(process.env.WORKER_JOB_TIMEOUT_MS, 10) || 5 * 60 * 1000; // 5 minutes
+    this.maxJobsPerWorker = parseInt(process.env.WORKER_MAX_JOBS, 10) || 50;
+
+    this.workers = new Set();
+    this.idle = [];
+    this.pending = [];
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Run a task in a worker; resolves with the worker's result or rejects with its error
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      // The caller's log context (job and item ids) follows the task into the worker
+      this.pending.push({ id: this.nextJobId++, task, context: logger.getContext(), resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand pending jobs to idle workers, starting new ones while below the pool size
+   */
+  dispatch() {
+    while (this.pending.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) return;
+        worker = this.spawn();
+      }
+
+      this.execute(worker, this.pending.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.workerFile, {
+      resourceLimits: { maxOldGenerationSizeMb: this.maxMemoryMb }
+    });
+
+    // threadId reads -1 once the worker has exited
+    worker.id = worker.threadId;
+    worker.jobCount = 0;
+    worker.job = null;
+    worker.unref();
+
+    worker.on('message', message => this.complete(worker, message));
+    worker.on('error', error => this.crash(worker, error));
+    worker.on('exit', code => this.crash(worker, new WorkerPoolError(`Worker exited with code ${code}`)));
+
+    this.workers.add(worker);
+    logger.info('Worker started', { worker: worker.id, workers: this.workers.size, size: this.size });
+    return worker;
+  }
+
+  execute(worker, job) {
+    worker.job = job;
+    worker.jobCount++;
+    // Keep the process alive while a job is running
+    worker.ref();
+
+    job.timer = setTimeout(() => {
+      this.retire(worker);
+      job.reject(new WorkerTimeoutError(`Extraction timed out after ${Math.round(this.jobTimeout / 1000)}s`));
+      this.dispatch();
+    }, this.jobTimeout);
+
+    worker.postMessage({ id: job.id, task: job.task, context: job.context });
+  }
+
+  complete(worker, { id, result, error }) {
+    const job = worker.job;
+    if (!job || job.id !== id) return;
+
+    clearTimeout(job.timer);
+    worker.job = null;
+    worker.unref();
+
+    if (error) {
+      // Rebuild the error with the fields callers look at (name, code, retryable)
+      job.reject(Object.assign(new Error(error.message), error));
+    } else {
+      job.resolve(result);
+    }
+
+    if (worker.jobCount >= this.maxJobsPerWorker) {
+      this.retire(worker);
+    } else {
+      this.idle.push(worker);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Worker died (uncaught error, out of memory, exit) - fail its job and let dispatch start a replacement
+   */
+  crash(worker, error) {
+    if (!this.workers.has(worker)) return;
+
+    const job = worker.job;
+    this.retire(worker);
+
+    if (job) {
+      clearTimeout(job.timer);
+      job.reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new WorkerMemoryError(`Extraction ran out of memory (limit ${this.maxMemoryMb}MB)`)
+        : new WorkerPoolError(`Extraction worker failed: ${error.message}`));
+    }
+
+    logger.error('Worker stopped', { worker: worker.id, error });
+    this.dispatch();
+  }
+
+  /**
+   * Remove a worker from the pool and terminate it
+   */
+  retire(worker) {
+    if (!this.workers.has(worker)) return;
+
+    this.workers.delete(worker);
+    this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+    worker.job = null;
+    worker.terminate();
+  }
+
+  /**
+   * Terminate every worker; pending jobs are rejected
+   */
+  async close() {
+    for (const job of this.pending.splice(0)) {
+      job.reject(new WorkerPoolError('Worker pool closed'));
+    }
+
+    const workers = [...this.workers];
+    for (const worker of workers) {
+      if (worker.job) {
+        clearTimeout(worker.job.timer);
+        worker.job.reject(new WorkerPoolError('Worker pool closed'));
+      }
+      this.workers.delete(worker);
+    }
+    this.idle = [];
+
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.workers.size,
+      busy: [...this.workers].filter(worker => worker.job).length,
+      pending: this.pending.length
+    };
+  }
+}
+
+module.exports = new WorkerPool(path.join(__dirname, '..', 'workers', 'extractionWorker.js'));
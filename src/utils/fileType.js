@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File type detection from magic bytes, so extraction doesn't depend on the file name
+ * Types: pdf, png, jpeg, gif, bmp, tiff, webp, heic, zip, xml, txt
+ */
+
+// Bytes read from the start of a file when sniffing
+const SNIFF_BYTES = 1024;
+
+// Binary signatures checked at offset 0
+const SIGNATURES = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { type: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] }, // II* (little-endian)
+  { type: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] }, // MM*
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK
+  { type: 'bmp', bytes: [0x42, 0x4d] } // BM
+];
+
+// ISO-BMFF brands (bytes 8-12, after "ftyp") that are HEIC/HEIF
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+// File extension → type, used when the content has no recognizable signature
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.gif': 'gif',
+  '.bmp': 'bmp',
+  '.tif': 'tiff',
+  '.tiff': 'tiff',
+  '.webp': 'webp',
+  '.heic': 'heic',
+  '.heif': 'heic',
+  '.zip': 'zip',
+  '.xml': 'xml',
+  '.txt': 'txt'
+};
+
+class FileType {
+  /**
+   * Type from the first bytes of a buffer, or null when no signature matches
+   */
+  fromBuffer(buffer) {
+    // RIFF....WEBP
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      return 'webp';
+    }
+
+    if (buffer.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(buffer.toString('latin1', 8, 12))) {
+      return 'heic';
+    }
+
+    const signature = SIGNATURES.find(({ bytes }) =>
+      buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+    );
+
+    if (signature) {
+      return signature.type;
+    }
+
+    // PDF readers accept the header anywhere in the first 1024 bytes
+    if (buffer.subarray(0, SNIFF_BYTES).includes('%PDF-')) {
+      return 'pdf';
+    }
+
+    // XML declaration, optionally after a UTF-8 BOM
+    return /^(\uFEFF)?\s*<\?xml/.test(buffer.toString('utf-8', 0, 64)) ? 'xml' : null;
+  }
+
+  fromExtension(fileName) {
+    return EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Sniff a file on disk; plain text is only trusted from the extension
+   */
+  async fromFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return this.fromBuffer(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Content type first, then the extension
+   */
+  async detect(filePath, fileName) {
+    return (await this.fromFile(filePath)) || this.fromExtension(fileName);
+  }
+}
+
+module.exports = new FileType();
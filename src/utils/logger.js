@@ -0,0 +1,90 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { isMainThread, threadId } = require('worker_threads');
+
+/**
+ * Structured logger: one JSON object per line, or readable lines with LOG_FORMAT=pretty
+ *
+ * Fields set with runWithContext (jobId, itemId, boardId, requestId...) are added to every line
+ * logged inside the callback, across awaits - including work handed to the worker pool.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+  constructor() {
+    this.level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+    this.pretty = process.env.LOG_FORMAT === 'pretty';
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn with extra context fields (merged over the current context)
+   */
+  runWithContext(context, fn) {
+    return this.storage.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  getContext() {
+    return this.storage.getStore() || {};
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.getContext(),
+      ...(isMainThread ? {} : { thread: threadId }),
+      ...fields
+    };
+
+    if (entry.error instanceof Error) {
+      entry.error = this.serializeError(entry.error, level === 'error');
+    }
+
+    const line = this.pretty ? this.formatPretty(entry) : JSON.stringify(entry);
+    (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  serializeError(error, withStack) {
+    return {
+      name: error.name,
+      message: error.message,
+      ...(error.code ? { code: error.code } : {}),
+      ...(error.status ? { status: error.status } : {}),
+      ...(withStack ? { stack: error.stack } : {})
+    };
+  }
+
+  /**
+   * "12:00:01.234 INFO  message key=value ..." for development
+   */
+  formatPretty({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+      .join(' ');
+
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,21 @@
+const { parentPort } = require('worker_threads');
+const fileController = require('../controllers/fileController');
+const logger = require('../utils/logger');
+
+/**
+ * Extraction worker thread (see services/workerPool)
+ * Receives { id, task: { originalname, path }, context } and answers { id, result } or { id, error }
+ * context holds the caller's log fields (job and item ids); supplier enrichment stays on the main thread,
+ * which owns the registry file
+ */
+parentPort.on('message', ({ id, task, context }) => logger.runWithContext(context || {}, async () => {
+  try {
+    const result = await fileController.extractByType(task);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, name: error.name, code: error.code, retryable: error.retryable }
+    });
+  }
+}));
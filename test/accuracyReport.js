@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Per-field extraction accuracy over the golden fixtures
+ *
+ * Usage:
+ *   npm run test:accuracy -- [--dir <fixtures>] [--kind document|payload]
+ *
+ * Without --dir every suite under test/fixtures is scored. --dir scores another corpus laid out the
+ * same way (fixture + "<name>.expected.json"), e.g. a private set of real invoices.
+ * Known issues count as misses here: the report measures the extractor, not the test suite.
+ * The test environment applies (OCR off, seeded supplier registry); override with e.g. OCR_ENABLED=true.
+ */
+require('./helpers/environment');
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { SUITES, loadCases, missingRequirements, runCase, compareFields } = require('./helpers/corpus');
+
+const USAGE = 'Usage: npm run test:accuracy -- [--dir <fixtures>] [--kind document|payload]';
+
+function formatValue(value) {
+  return value === null ? 'null' : JSON.stringify(value);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: 'string' },
+      kind: { type: 'string', default: 'document' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const suites = values.dir
+    ? [{ name: path.basename(path.resolve(values.dir)), dir: values.dir, kind: values.kind }]
+    : SUITES;
+
+  const fileController = require('../src/controllers/fileController');
+  const fields = new Map();
+  const mismatches = [];
+  const skipped = [];
+  let scored = 0;
+
+  for (const suite of suites) {
+    for (const testCase of loadCases(suite.dir, suite.kind)) {
+      const missing = missingRequirements(testCase);
+      if (missing.length > 0) {
+        skipped.push(`${suite.name}/${testCase.name} (needs ${missing.join(', ')})`);
+        continue;
+      }
+
+      const actual = await runCase(testCase, fileController);
+      scored++;
+
+      for (const result of compareFields(testCase, actual)) {
+        const stats = fields.get(result.field) || { cases: 0, correct: 0 };
+        stats.cases++;
+        if (result.match) stats.correct++;
+        fields.set(result.field, stats);
+
+        if (!result.match) {
+          mismatches.push({ fixture: `${suite.name}/${testCase.name}`, ...result });
+        }
+      }
+    }
+  }
+
+  if (scored === 0) {
+    throw new Error('No fixtures could be scored');
+  }
+
+  console.log(`🎯 Extraction accuracy over ${scored} fixture(s)\n`);
+
+  const rows = [...fields.entries()]
+    .map(([field, { cases, correct }]) => ({ field, cases, correct, accuracy: `${(correct / cases * 100).toFixed(1)}%` }))
+    .sort((a, b) => a.field.localeCompare(b.field));
+
+  const cases = rows.reduce((sum, row) => sum + row.cases, 0);
+  const correct = rows.reduce((sum, row) => sum + row.correct, 0);
+  rows.push({ field: 'all fields', cases, correct, accuracy: `${(correct / cases * 100).toFixed(1)}%` });
+
+  console.table(rows);
+
+  if (mismatches.length > 0) {
+    console.log(`\n❌ ${mismatches.length} mismatch(es):`);
+    for (const mismatch of mismatches) {
+      const note = mismatch.knownIssue ? ` [known: ${mismatch.knownIssue}]` : '';
+      console.log(`  ${mismatch.fixture} ${mismatch.field}: expected ${formatValue(mismatch.expected)}, got ${formatValue(mismatch.actual)}${note}`);
+    }
+  }
+
+  if (skipped.length > 0) {
+    console.log(`\n⏭️  Skipped: ${skipped.join('; ')}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ Accuracy report failed: ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => require('../src/services/workerPool').close());
@@ -0,0 +1,63 @@
+const { tempDir } = require('./helpers/environment');
+
+process.env.ARCHIVE_MAX_BYTES = String(64 * 1024);
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { describe, it, before } = require('node:test');
+const AdmZip = require('adm-zip');
+const fileController = require('../src/controllers/fileController');
+
+const RECEIPT = path.join(__dirname, 'fixtures', 'text', 'pt-talao-simplificado.txt');
+
+// Write a ZIP of { name: Buffer } to the temp directory
+function writeArchive(name, files) {
+  const zip = new AdmZip();
+  for (const [entryName, content] of Object.entries(files)) {
+    zip.addFile(entryName, content);
+  }
+  const archivePath = path.join(tempDir, name);
+  zip.writeZip(archivePath);
+  return archivePath;
+}
+
+// Rewrite the uncompressed size in every local and central directory header, as a zip bomb would
+function declareSize(archivePath, size) {
+  const buffer = fs.readFileSync(archivePath);
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    if (signature === 0x04034b50) buffer.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) buffer.writeUInt32LE(size, offset + 24);
+  }
+  fs.writeFileSync(archivePath, buffer);
+}
+
+describe('extractFromArchive', () => {
+  before(() => {
+    fs.mkdirSync('uploads', { recursive: true });
+  });
+
+  it('extracts every entry of an archive within the limits', async () => {
+    const archivePath = writeArchive('receipts.zip', { 'receipt.txt': fs.readFileSync(RECEIPT) });
+
+    const result = await fileController.extractFromArchive({ path: archivePath });
+
+    assert.equal(result.entryCount, 1);
+    assert.equal(result.entries[0].fileName, 'receipt.txt');
+    assert.equal(result.entries[0].invoiceNumber, 'FS 2025/3345');
+  });
+
+  it('stops inflating at the limit when the headers understate the size', async () => {
+    const archivePath = writeArchive('bomb.zip', { 'bomb.txt': Buffer.alloc(1024 * 1024) });
+    declareSize(archivePath, 10);
+
+    await assert.rejects(fileController.extractFromArchive({ path: archivePath }), /Archive expands to more than/);
+  });
+
+  it('rejects an archive whose declared size is over the limit before inflating', async () => {
+    const archivePath = writeArchive('large.zip', { 'large.txt': Buffer.alloc(128 * 1024) });
+
+    await assert.rejects(fileController.extractFromArchive({ path: archivePath }), /Archive expands to more than/);
+  });
+});
@@ -0,0 +1,42 @@
+require('./helpers/environment');
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const boardConfig = require('../src/config/boardConfig');
+
+function config(defaults) {
+  return {
+    defaults: { triggerColumns: ['button', 'status'], fileColumn: 'files', columns: {}, ...defaults },
+    boards: {}
+  };
+}
+
+describe('checkShape', () => {
+  it('accepts written columns that are not triggers', () => {
+    assert.doesNotThrow(() => boardConfig.checkShape(config({
+      extractionStatusColumn: 'extraction_status',
+      columns: { totalValue: 'total' }
+    })));
+  });
+
+  it('rejects an extraction status column that is also a trigger', () => {
+    assert.throws(
+      () => boardConfig.checkShape(config({ extractionStatusColumn: 'status' })),
+      /extractionStatusColumn "status" is also a trigger column/
+    );
+  });
+
+  it('rejects document type values written to a trigger column', () => {
+    assert.throws(
+      () => boardConfig.checkShape(config({ documentTypes: { NC: { values: { status: 'Credit note' } } } })),
+      /documentTypes\.NC\.values "status" is also a trigger column/
+    );
+  });
+
+  it('checks board entries over the defaults', () => {
+    const entry = config({});
+    entry.boards['200'] = { triggerColumns: ['total'], columns: { totalValue: 'total' } };
+
+    assert.throws(() => boardConfig.checkShape(entry), /Board config "200": columns\.totalValue "total"/);
+  });
+});
@@ -0,0 +1,33 @@
+require('./helpers/environment');
+
+const assert = require('node:assert/strict');
+const { describe, it, after } = require('node:test');
+const fileController = require('../src/controllers/fileController');
+const workerPool = require('../src/services/workerPool');
+const { SUITES, loadCases, missingRequirements, runCase, compareFields } = require('./helpers/corpus');
+
+/**
+ * Golden fixtures: each expected field is its own subtest; fields listed under knownIssues are TODO,
+ * so they are reported but don't fail the run (and show up as passing once fixed)
+ */
+
+after(() => workerPool.close());
+
+for (const suite of SUITES) {
+  describe(suite.name, () => {
+    for (const testCase of loadCases(suite.dir, suite.kind)) {
+      const missing = missingRequirements(testCase);
+
+      it(`${testCase.name} - ${testCase.description}`, { skip: missing.length > 0 && `needs ${missing.join(', ')}` }, async (t) => {
+        const actual = await runCase(testCase, fileController);
+
+        for (const { field, expected, actual: value, match, knownIssue } of compareFields(testCase, actual)) {
+          await t.test(field, { todo: knownIssue || false }, () => {
+            // Amounts within a cent already match; anything else fails with a diff
+            if (!match) assert.deepEqual(value, expected);
+          });
+        }
+      });
+    }
+  });
+}
@@ -0,0 +1,76 @@
+require('./helpers/environment');
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const eInvoiceParser = require('../src/services/eInvoiceParser');
+
+// Minimal UBL invoice with one 100 € tax subtotal at the given rate
+function ublInvoice({ percent, address = '', taxScheme = '<cbc:ID>VAT</cbc:ID>' }) {
+  const vat = (100 * percent / 100).toFixed(2);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ID>FT 2025/10</cbc:ID>
+  <cbc:IssueDate>2025-06-01</cbc:IssueDate>
+  <cac:AccountingSupplierParty>
+    <cac:Party>
+      ${address}
+      <cac:PartyTaxScheme><cbc:CompanyID>PT500000000</cbc:CompanyID><cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>
+    </cac:Party>
+  </cac:AccountingSupplierParty>
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="EUR">${vat}</cbc:TaxAmount>
+    <cac:TaxSubtotal>
+      <cbc:TaxableAmount currencyID="EUR">100.00</cbc:TaxableAmount>
+      <cbc:TaxAmount currencyID="EUR">${vat}</cbc:TaxAmount>
+      <cac:TaxCategory>
+        <cbc:ID>S</cbc:ID>
+        <cbc:Percent>${percent}</cbc:Percent>
+        <cac:TaxScheme>${taxScheme}</cac:TaxScheme>
+      </cac:TaxCategory>
+    </cac:TaxSubtotal>
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal><cbc:TaxInclusiveAmount currencyID="EUR">${(100 + Number(vat)).toFixed(2)}</cbc:TaxInclusiveAmount></cac:LegalMonetaryTotal>
+</Invoice>`;
+}
+
+function parseOne(options) {
+  return eInvoiceParser.parse(ublInvoice(options)).invoices[0];
+}
+
+describe('eInvoiceParser UBL VAT regions', () => {
+  it('places a rate only one region has in that region', () => {
+    const invoice = parseOne({ percent: 16 });
+
+    assert.deepEqual(invoice.vatBreakdown, [{ region: 'PT-AC', exemptBase: null, rates: { normal: { base: 100, vat: 16 } } }]);
+    assert.deepEqual(invoice.parseErrors, []);
+  });
+
+  it('takes the region of a shared rate from the supplier postal code', () => {
+    const azores = parseOne({ percent: 4, address: '<cac:PostalAddress><cbc:PostalZone>9500-150</cbc:PostalZone><cac:Country><cbc:IdentificationCode>PT</cbc:IdentificationCode></cac:Country></cac:PostalAddress>' });
+    const madeira = parseOne({ percent: 4, address: '<cac:PostalAddress><cbc:CountrySubentity>Madeira</cbc:CountrySubentity></cac:PostalAddress>' });
+
+    assert.equal(azores.vatBreakdown[0].region, 'PT-AC');
+    assert.equal(madeira.vatBreakdown[0].region, 'PT-MA');
+    assert.deepEqual(azores.parseErrors, []);
+  });
+
+  it('takes the region named in the TaxScheme over the address', () => {
+    const invoice = parseOne({
+      percent: 4,
+      address: '<cac:PostalAddress><cbc:PostalZone>9000-050</cbc:PostalZone></cac:PostalAddress>',
+      taxScheme: '<cbc:ID>VAT</cbc:ID><cbc:TaxTypeCode>PT-AC</cbc:TaxTypeCode>'
+    });
+
+    assert.equal(invoice.vatBreakdown[0].region, 'PT-AC');
+  });
+
+  it('leaves a shared rate without a region and reports it', () => {
+    const invoice = parseOne({ percent: 4 });
+
+    assert.deepEqual(invoice.vatBreakdown, [{ region: null, exemptBase: null, rates: { reduced: { base: 100, vat: 4 } } }]);
+    assert.deepEqual(invoice.parseErrors, ['TaxSubtotal: VAT rate 4% exists in PT-MA and PT-AC, region not assigned']);
+    assert.equal(invoice.vatTotal, 4);
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Golden fixture corpus: every fixture sits next to a "<name>.expected.json"
+ *
+ *   {
+ *     "description": "What the fixture exercises",
+ *     "requires": ["canvas"],                       (optional - skipped when missing)
+ *     "expected": { "totalValue": 12.3, ... },      (ground truth - only these fields are checked)
+ *     "knownIssues": { "invoiceDate": "why" }       (optional - fields the extractor gets wrong today)
+ *   }
+ *
+ * Expected values are read off the document itself, not copied from extractor output, so known
+ * issues show up as wrong in the accuracy report instead of being frozen in as "correct".
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// payload: the file holds a raw QR payload (parseQRCodeData); document: a file run through extractData
+const SUITES = [
+  { name: 'atcud', dir: path.join(FIXTURES_DIR, 'atcud'), kind: 'payload' },
+  { name: 'text', dir: path.join(FIXTURES_DIR, 'text'), kind: 'document' },
+  { name: 'documents', dir: path.join(FIXTURES_DIR, 'documents'), kind: 'document' },
+  { name: 'qr', dir: path.join(FIXTURES_DIR, 'qr'), kind: 'document' }
+];
+
+const EXPECTED_SUFFIX = '.expected.json';
+
+// Amounts are compared to the cent
+const AMOUNT_TOLERANCE = 0.005;
+
+/**
+ * Fixtures in a directory that have an expected file, sorted by name
+ */
+function loadCases(dir, kind = 'document') {
+  const names = fs.readdirSync(dir);
+
+  return names
+    .filter(name => name.endsWith(EXPECTED_SUFFIX))
+    .sort()
+    .map(expectedName => {
+      const base = expectedName.slice(0, -EXPECTED_SUFFIX.length);
+      const fixture = names.find(name => name !== expectedName && path.parse(name).name === base);
+      if (!fixture) {
+        throw new Error(`${path.join(dir, expectedName)} has no fixture next to it`);
+      }
+
+      const spec = JSON.parse(fs.readFileSync(path.join(dir, expectedName), 'utf-8'));
+      return {
+        name: fixture,
+        file: path.join(dir, fixture),
+        kind,
+        description: spec.description || '',
+        requires: spec.requires || [],
+        expected: spec.expected || {},
+        knownIssues: spec.knownIssues || {}
+      };
+    });
+}
+
+/**
+ * Requirements of a case that this machine can't meet (e.g. canvas, which PDF rendering needs)
+ */
+function missingRequirements(testCase) {
+  return testCase.requires.filter(requirement => {
+    try {
+      require(requirement);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Extraction output for a case
+ */
+async function runCase(testCase, fileController) {
+  if (testCase.kind === 'payload') {
+    return fileController.parseQRCodeData(fs.readFileSync(testCase.file, 'utf-8'));
+  }
+
+  return fileController.extractData({ originalname: testCase.name, path: testCase.file });
+}
+
+function valuesMatch(expected, actual) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(expected - actual) < AMOUNT_TOLERANCE;
+  }
+  // A field the extractor doesn't emit at all counts as null
+  return isDeepStrictEqual(expected, actual === undefined ? null : actual);
+}
+
+/**
+ * One { field, expected, actual, match, knownIssue } entry per expected field
+ */
+function compareFields(testCase, actual) {
+  return Object.entries(testCase.expected).map(([field, expected]) => ({
+    field,
+    expected,
+    actual: actual[field] === undefined ? null : actual[field],
+    match: valuesMatch(expected, actual[field]),
+    knownIssue: testCase.knownIssues[field] || null
+  }));
+}
+
+module.exports = {
+  SUITES,
+  loadCases,
+  missingRequirements,
+  runCase,
+  compareFields
+};
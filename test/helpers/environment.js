@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test environment - require this before anything from src/
+ *
+ * Services read their settings once, when first required, so everything that would touch data/
+ * (queue, QR stats, supplier registry) is pointed at a fresh temp directory here.
+ * OCR is off: without a QR code or text layer a fixture is expected to come back empty.
+ */
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-test-'));
+
+// Known suppliers, so supplierName never depends on what an earlier fixture taught the registry
+const supplierFile = path.join(tempDir, 'suppliers.json');
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'suppliers.json'), supplierFile);
+
+const defaults = {
+  QUEUE_FILE: path.join(tempDir, 'queue.json'),
+  QR_STATS_FILE: path.join(tempDir, 'qr-stats.json'),
+  SUPPLIER_REGISTRY_FILE: supplierFile,
+  OCR_ENABLED: 'false',
+  QR_ADAPTIVE: 'false',
+  WORKER_POOL_SIZE: '1',
+  MONDAY_API_TOKEN: 'test-token',
+  MONDAY_MAX_RETRIES: '0',
+  LOG_LEVEL: 'error'
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
+
+process.on('exit', () => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+module.exports = { tempDir };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const { QRCodeWriter, BarcodeFormat, EncodeHintType } = require('@zxing/library');
+
+/**
+ * Builds the synthetic documents in test/fixtures/documents: page images and PDFs with a QR code
+ * drawn from a known payload, so the expected output is known exactly
+ *
+ *   node test/helpers/fixtureGenerator.js
+ *
+ * The files are committed; rerun only to add or change a fixture, then update its .expected.json
+ * by hand from the payload (never from what the extractor returns).
+ */
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'fixtures', 'documents');
+
+// A4 in PDF points
+const PDF_PAGE = { width: 595, height: 842 };
+
+/**
+ * QR module matrix for a payload (ATCUD QR codes use error correction level M), quiet zone excluded
+ */
+function qrMatrix(payload) {
+  const hints = new Map([
+    [EncodeHintType.ERROR_CORRECTION, 'M'],
+    [EncodeHintType.MARGIN, 0],
+    [EncodeHintType.CHARACTER_SET, 'UTF-8']
+  ]);
+  const matrix = new QRCodeWriter().encode(payload, BarcodeFormat.QR_CODE, 0, 0, hints);
+
+  const rows = [];
+  for (let y = 0; y < matrix.getHeight(); y++) {
+    const row = [];
+    for (let x = 0; x < matrix.getWidth(); x++) {
+      row.push(matrix.get(x, y));
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function fillRect(image, x, y, width, height, color) {
+  const { r, g, b } = Jimp.intToRGBA(color);
+  image.scan(Math.round(x), Math.round(y), Math.round(width), Math.round(height), function (px, py, idx) {
+    this.bitmap.data[idx] = r;
+    this.bitmap.data[idx + 1] = g;
+    this.bitmap.data[idx + 2] = b;
+    this.bitmap.data[idx + 3] = 255;
+  });
+}
+
+/**
+ * Page image: grey bars where text lines would be, and the QR code at (qrX, qrY)
+ */
+function pageImage({ payload, width, height, modulePx, qrX, qrY, background = 0xffffffff, foreground = 0x000000ff, rotate = 0, blur = 0 }) {
+  const image = new Jimp(width, height, background);
+
+  // Header and body "text" so the QR locator has something else to reject
+  for (let line = 0; line < 14; line++) {
+    const lineWidth = width * (0.35 + ((line * 37) % 40) / 100);
+    fillRect(image, width * 0.08, height * 0.06 + line * 28, Math.min(lineWidth, width * 0.84), 10, 0x9a9a9aff);
+  }
+
+  const matrix = qrMatrix(payload);
+  matrix.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) fillRect(image, qrX + x * modulePx, qrY + y * modulePx, modulePx, modulePx, foreground);
+  }));
+
+  if (blur) image.blur(blur);
+  if (rotate) image.rotate(rotate, false);
+
+  return image;
+}
+
+/**
+ * Escape a string for a PDF literal; text is Latin-1 (WinAnsiEncoding), where € is byte 0x80
+ */
+function pdfString(text) {
+  return `(${text.replace(/[\\()]/g, match => `\\${match}`).replace(/€/g, '\\200')})`;
+}
+
+/**
+ * One-page PDF: Helvetica text lines (a real text layer) and, optionally, a vector QR code
+ */
+function pdfDocument({ lines, qr = null }) {
+  const content = ['BT', '/F1 11 Tf', '14 TL', `56 ${PDF_PAGE.height - 72} Td`];
+  lines.forEach(line => content.push(`${pdfString(line)} '`));
+  content.push('ET');
+
+  if (qr) {
+    const matrix = qrMatrix(qr.payload);
+    content.push('0 0 0 rg');
+    matrix.forEach((row, y) => row.forEach((dark, x) => {
+      if (!dark) return;
+      // PDF y axis points up; the QR top-left corner sits at (qr.x, qr.y) from the top of the page
+      const left = qr.x + x * qr.module;
+      const bottom = PDF_PAGE.height - qr.y - (y + 1) * qr.module;
+      content.push(`${left.toFixed(2)} ${bottom.toFixed(2)} ${qr.module.toFixed(2)} ${qr.module.toFixed(2)} re`);
+    }));
+    content.push('f');
+  }
+
+  const stream = Buffer.from(content.join('\n'), 'latin1');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream.toString('latin1')}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Payloads follow Portaria n.º 195/2020; expected values in the .expected.json files are read off these
+const FIXTURES = {
+  'invoice-ft.png': () => pageImage({
+    payload: 'A:500000000*B:123456789*C:PT*D:FT*E:N*F:20250314*G:FT 2025A/87*H:JFKL3M9P-87*I1:PT*I3:20.00*I4:1.20*I7:100.00*I8:23.00*N:24.20*O:144.20*Q:Xy7k*R:2345',
+    width: 900, height: 1200, modulePx: 4, qrX: 640, qrY: 940
+  }),
+
+  'credit-note-nc.jpg': () => pageImage({
+    payload: 'A:501234560*B:999999990*C:PT*D:NC*E:N*F:20250402*G:NC 2025/4*H:KLMN4567-4*I1:PT*I7:50.00*I8:11.50*N:11.50*O:61.50*Q:Ab9z*R:2345',
+    width: 800, height: 1000, modulePx: 3, qrX: 80, qrY: 760,
+    background: 0xe8e8e8ff, foreground: 0x333333ff
+  }),
+
+  'receipt-fr-madeira.png': () => pageImage({
+    payload: 'A:509123457*B:234567899*C:PT*D:FR*E:N*F:20250520*G:FR 1/230*H:ABCDEFGH-230*I1:PT-MA*I3:25.00*I4:1.00*I7:10.00*I8:2.20*N:3.20*O:38.20*Q:q1W2*R:2345',
+    width: 600, height: 900, modulePx: 5, qrX: 150, qrY: 520,
+    rotate: 8
+  }),
+
+  'simplified-fs-unknown-supplier.png': () => pageImage({
+    payload: 'A:510000126*B:999999990*C:PT*D:FS*E:N*F:20250601*G:FS 2025/1022*H:0*I1:PT*I7:8.13*I8:1.87*N:1.87*O:10.00*Q:Zz00*R:2345',
+    width: 500, height: 800, modulePx: 4, qrX: 150, qrY: 500,
+    blur: 1
+  }),
+
+  'plain-text-qr.png': () => pageImage({
+    payload: 'FT 2025/77 Total 45,90',
+    width: 600, height: 800, modulePx: 6, qrX: 380, qrY: 560
+  }),
+
+  'invoice-qr.pdf': () => pdfDocument({
+    lines: [
+      'Padaria Central, Lda',
+      'Rua do Forno 12, 1000-001 Lisboa',
+      'NIF: 501234560',
+      'Fatura FT 2025B/311',
+      'Data: 2025-02-10',
+      'Cliente NIF: 123456789',
+      'Total: 18,45 EUR'
+    ],
+    qr: {
+      payload: 'A:501234560*B:123456789*C:PT*D:FT*E:N*F:20250210*G:FT 2025B/311*H:PQRS2345-311*I1:PT*I3:17.41*I4:1.04*N:1.04*O:18.45*Q:Lp3s*R:2345',
+      x: 440, y: 680, module: 2.5
+    }
+  }),
+
+  'invoice-text-only.pdf': () => pdfDocument({
+    lines: [
+      'Mercearia do Bairro, Unipessoal Lda',
+      'Av. da Liberdade 100, Lisboa',
+      'NIF 509123457',
+      'Fatura-Recibo FR 2025/58',
+      'Data: 15/03/2025',
+      'Total a pagar: 7,35 €'
+    ]
+  })
+};
+
+async function generate(names = Object.keys(FIXTURES)) {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const name of names) {
+    const output = FIXTURES[name]();
+    const filePath = path.join(OUTPUT_DIR, name);
+
+    if (Buffer.isBuffer(output)) {
+      fs.writeFileSync(filePath, output);
+    } else {
+      if (name.endsWith('.jpg')) output.quality(80);
+      await output.writeAsync(filePath);
+    }
+    console.log(`✅ ${path.relative(process.cwd(), filePath)}`);
+  }
+}
+
+if (require.main === module) {
+  generate(process.argv.slice(2).length > 0 ? process.argv.slice(2) : undefined).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { qrMatrix, pageImage, pdfDocument, generate };
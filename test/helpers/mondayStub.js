@@ -0,0 +1,201 @@
+const fs = require('fs');
+const http = require('http');
+
+/**
+ * In-memory stand-in for the Monday.com GraphQL API and its file storage
+ *
+ * Resolves the root fields mondayController uses (boards, items, items_page_by_column_values, assets,
+ * change_multiple_column_values, create_update, create_item). Files are served from GET /files/<name>.
+ * Every GraphQL call is recorded in `calls` so tests can check what was written.
+ *
+ *   const stub = new MondayStub({ boards: { 100: { columns } }, items: { 1: { boardId: '100', name, columnValues } } });
+ *   process.env.MONDAY_API_URL = await stub.start();
+ */
+class MondayStub {
+  constructor({ boards = {}, items = {}, files = {}, assets = {} } = {}) {
+    // boardId → { columns: [{ id, title, type, settings_str }] }
+    this.boards = boards;
+    // itemId → { boardId, name, columnValues: { columnId: { value, text } }, updates: [] }
+    this.items = {};
+    // file name → path on disk, served at /files/<name>
+    this.files = files;
+    // asset id → file name
+    this.assets = assets;
+
+    for (const [itemId, item] of Object.entries(items)) {
+      this.addItem(itemId, item);
+    }
+
+    this.calls = [];
+    this.nextItemId = 1000;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.url = null;
+  }
+
+  addItem(itemId, { boardId, name = `Item ${itemId}`, columnValues = {} }) {
+    this.items[String(itemId)] = { id: String(itemId), boardId: String(boardId), name, columnValues: { ...columnValues }, updates: [] };
+    return this.items[String(itemId)];
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    // Keep-alive sockets from the API client would hold close() open
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  fileUrl(name) {
+    return `${this.url}/files/${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * File column value as Monday stores it
+   */
+  fileColumnValue(files) {
+    return {
+      value: JSON.stringify({ files: files.map(file => ({ fileType: 'ASSET', ...file })) }),
+      text: files.map(file => file.name).join(', ')
+    };
+  }
+
+  /**
+   * Recorded calls for one root field (e.g. "change_multiple_column_values")
+   */
+  callsTo(field) {
+    return this.calls.filter(call => call.field === field);
+  }
+
+  handle(req, res) {
+    if (req.method === 'GET' && req.url.startsWith('/files/')) {
+      const filePath = this.files[decodeURIComponent(req.url.slice('/files/'.length))];
+      if (!filePath) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Length': fs.statSync(filePath).size });
+      fs.createReadStream(filePath).pipe(res);
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { query, variables = {} } = JSON.parse(body || '{}');
+      const field = this.rootField(query);
+      this.calls.push({ field, variables });
+
+      let payload;
+      try {
+        payload = { data: this.resolve(field, variables) };
+      } catch (error) {
+        payload = { errors: [{ message: error.message, extensions: { code: 'NOT_FOUND' } }] };
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  }
+
+  rootField(query) {
+    const match = /\{\s*(\w+)/.exec(String(query).replace(/complexity\s*\{[^}]*\}/, ''));
+    return match ? match[1] : null;
+  }
+
+  resolve(field, variables) {
+    switch (field) {
+      case 'boards':
+        return {
+          boards: variables.boardId
+            .filter(id => this.boards[id])
+            .map(id => ({ columns: this.boards[id].columns }))
+        };
+
+      case 'items':
+        return {
+          items: variables.itemId
+            .filter(id => this.items[id])
+            .map(id => this.itemView(this.items[id], variables.fileColumnId))
+        };
+
+      case 'items_page_by_column_values': {
+        const [{ column_id: columnId, column_values: values }] = variables.columns;
+        const items = Object.values(this.items).filter(item =>
+          item.boardId === String(variables.boardId) &&
+          item.columnValues[columnId] && values.includes(item.columnValues[columnId].text)
+        );
+        return {
+          items_page_by_column_values: {
+            items: items.map(item => ({ ...this.itemView(item, variables.columnIds), url: `https://example.monday.com/boards/${item.boardId}/pulses/${item.id}` }))
+          }
+        };
+      }
+
+      case 'assets':
+        return {
+          assets: variables.assetIds
+            .filter(id => this.assets[id])
+            .map(id => ({ id, public_url: this.fileUrl(this.assets[id]) }))
+        };
+
+      case 'change_multiple_column_values': {
+        const item = this.items[variables.itemId];
+        if (!item) throw new Error(`Item ${variables.itemId} not found`);
+
+        for (const [columnId, value] of Object.entries(JSON.parse(variables.columnValues))) {
+          item.columnValues[columnId] = { value: JSON.stringify(value), text: this.columnText(value) };
+        }
+        return { change_multiple_column_values: { id: item.id } };
+      }
+
+      case 'create_update': {
+        const item = this.items[variables.itemId];
+        if (item) item.updates.push(variables.body);
+        return { create_update: { id: String(this.calls.length) } };
+      }
+
+      case 'create_item': {
+        const item = this.addItem(this.nextItemId++, { boardId: variables.boardId, name: variables.itemName });
+        for (const [columnId, value] of Object.entries(JSON.parse(variables.columnValues))) {
+          item.columnValues[columnId] = { value: JSON.stringify(value), text: this.columnText(value) };
+        }
+        return { create_item: { id: item.id, name: item.name, column_values: [] } };
+      }
+
+      default:
+        throw new Error(`The Monday stub does not resolve "${field}"`);
+    }
+  }
+
+  itemView(item, columnIds = []) {
+    return {
+      id: item.id,
+      name: item.name,
+      column_values: (columnIds || []).map(id => ({
+        id,
+        value: item.columnValues[id] ? item.columnValues[id].value : null,
+        text: item.columnValues[id] ? item.columnValues[id].text : ''
+      }))
+    };
+  }
+
+  /**
+   * Display text Monday would show for a written column value
+   */
+  columnText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    if (value.label) return value.label;
+    if (value.date) return value.date;
+    if (value.text) return value.text;
+    if (value.url) return value.url;
+    if (value.labels) return value.labels.join(', ');
+    return '';
+  }
+}
+
+module.exports = MondayStub;
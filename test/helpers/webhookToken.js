@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+/**
+ * HS256 JWT like the one Monday sends in the webhook Authorization header
+ */
+function signToken(payload, secret, header = { alg: 'HS256', typ: 'JWT' }) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+module.exports = { signToken };
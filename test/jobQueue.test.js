@@ -0,0 +1,36 @@
+require('./helpers/environment');
+
+const fs = require('fs');
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const jobQueue = require('../src/services/jobQueue');
+
+// Persist jobs as a crashed process would have left them: active, at the given attempt
+function crashedJobs(attempts) {
+  return attempts.map((attempt, index) => ({
+    id: `job-${index + 1}`,
+    itemId: String(index + 1),
+    boardId: '100',
+    status: 'active',
+    attempts: attempt,
+    startedAt: Date.now() - 1000,
+    createdAt: Date.now() - 2000,
+    updatedAt: Date.now() - 1000
+  }));
+}
+
+describe('jobQueue.recover', () => {
+  it('reports jobs interrupted on their last attempt as dead and requeues the others', async () => {
+    fs.writeFileSync(jobQueue.filePath, JSON.stringify({ jobs: crashedJobs([jobQueue.maxAttempts, 1]) }));
+
+    const reported = [];
+    jobQueue.start(async () => {}, (job, error) => {
+      reported.push({ itemId: job.itemId, boardId: job.boardId, message: error.message });
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(jobQueue.get('job-1').status, 'dead');
+    assert.deepEqual(reported, [{ itemId: '1', boardId: '100', message: 'Interrupted by restart' }]);
+    assert.notEqual(jobQueue.get('job-2').status, 'dead');
+  });
+});
@@ -0,0 +1,245 @@
+require('./helpers/environment');
+
+const path = require('path');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const MondayStub = require('./helpers/mondayStub');
+const { signToken } = require('./helpers/webhookToken');
+
+/**
+ * End to end against the Monday stub: item files are downloaded from it, extracted in the worker pool
+ * and the results written back to it - no network access needed
+ */
+
+const BOARD_ID = '100';
+const SIGNING_SECRET = 'pipeline-test-secret';
+const DOCUMENTS = path.join(__dirname, 'fixtures', 'documents');
+
+process.env.MONDAY_SIGNING_SECRET = SIGNING_SECRET;
+process.env.BOARD_CONFIG = JSON.stringify({
+  defaultBoardId: BOARD_ID,
+  defaults: {
+    triggerColumns: ['button_extract'],
+    fileColumn: 'files',
+    statusColumn: 'status',
+    extractionStatusColumn: 'extraction_status',
+    duplicateOfColumn: 'duplicate_of',
+    columns: {
+      totalValue: 'total',
+      invoiceNumber: 'invoice_number',
+      invoiceDate: 'invoice_date',
+      supplierName: 'supplier',
+      issuerNIF: 'issuer_nif',
+      atcud: 'atcud'
+    }
+  }
+});
+
+const stub = new MondayStub({
+  boards: {
+    [BOARD_ID]: {
+      columns: [
+        { id: 'button_extract', title: 'Extract', type: 'button' },
+        { id: 'files', title: 'Files', type: 'file' },
+        { id: 'status', title: 'Status', type: 'status' },
+        { id: 'extraction_status', title: 'Extraction', type: 'status' },
+        { id: 'duplicate_of', title: 'Duplicate of', type: 'link' },
+        { id: 'total', title: 'Total', type: 'numbers' },
+        { id: 'invoice_number', title: 'Invoice number', type: 'text' },
+        { id: 'invoice_date', title: 'Invoice date', type: 'date' },
+        { id: 'supplier', title: 'Supplier', type: 'text' },
+        { id: 'issuer_nif', title: 'Issuer NIF', type: 'text' },
+        { id: 'atcud', title: 'ATCUD', type: 'text' }
+      ].map(column => ({ settings_str: '{}', ...column }))
+    }
+  },
+  files: {
+    'invoice-ft.png': path.join(DOCUMENTS, 'invoice-ft.png'),
+    'credit-note-nc.jpg': path.join(DOCUMENTS, 'credit-note-nc.jpg'),
+    'receipt-fr-madeira.png': path.join(DOCUMENTS, 'receipt-fr-madeira.png'),
+    'invoice-text-only.pdf': path.join(DOCUMENTS, 'invoice-text-only.pdf'),
+    'ubl-invoice.xml': path.join(DOCUMENTS, 'ubl-invoice.xml')
+  },
+  assets: {
+    5001: 'receipt-fr-madeira.png'
+  }
+});
+
+let pipeline;
+let jobQueue;
+let workerPool;
+
+// Labels written to the extraction status column of an item, in order
+function statusLabels(itemId) {
+  return stub.callsTo('change_multiple_column_values')
+    .filter(call => call.variables.itemId === String(itemId))
+    .map(call => JSON.parse(call.variables.columnValues).extraction_status)
+    .filter(Boolean)
+    .map(value => value.label);
+}
+
+function columnText(itemId, columnId) {
+  const value = stub.items[String(itemId)].columnValues[columnId];
+  return value ? value.text : null;
+}
+
+before(async () => {
+  // Services read MONDAY_API_URL when first required, so src/ is loaded once the stub has a port
+  process.env.MONDAY_API_URL = await stub.start();
+  pipeline = require('../src/index');
+  jobQueue = require('../src/services/jobQueue');
+  workerPool = require('../src/services/workerPool');
+});
+
+after(async () => {
+  await workerPool.close();
+  await stub.stop();
+});
+
+describe('processItemExtraction', () => {
+  it('writes the QR invoice to the item columns and marks it done', async () => {
+    stub.addItem(1, {
+      boardId: BOARD_ID,
+      columnValues: { files: stub.fileColumnValue([{ name: 'invoice-ft.png', url: stub.fileUrl('invoice-ft.png') }]) }
+    });
+
+    const invoices = await pipeline.processItemExtraction('1', BOARD_ID);
+
+    assert.equal(invoices.length, 1);
+    assert.equal(invoices[0].method, 'qr-code');
+    assert.equal(columnText(1, 'total'), '144.2');
+    assert.equal(columnText(1, 'invoice_number'), 'FT 2025A/87');
+    assert.equal(columnText(1, 'invoice_date'), '2025-03-14');
+    assert.equal(columnText(1, 'supplier'), 'Exemplo Comércio, Lda');
+    assert.equal(columnText(1, 'issuer_nif'), '500000000');
+    assert.equal(columnText(1, 'atcud'), 'JFKL3M9P-87');
+    assert.deepEqual(statusLabels(1), ['Processing', 'Done']);
+    assert.deepEqual(stub.items['1'].updates, []);
+  });
+
+  it('resolves asset ids and lists every invoice when an item holds several', async () => {
+    stub.addItem(2, {
+      boardId: BOARD_ID,
+      columnValues: {
+        files: stub.fileColumnValue([
+          { name: 'receipt-fr-madeira.png', assetId: 5001 },
+          { name: 'invoice-text-only.pdf', url: stub.fileUrl('invoice-text-only.pdf') }
+        ])
+      }
+    });
+
+    const invoices = await pipeline.processItemExtraction('2', BOARD_ID);
+
+    assert.deepEqual(invoices.map(invoice => invoice.invoiceNumber), ['FR 1/230', 'FR 2025/58']);
+    assert.equal(stub.callsTo('assets').length, 1);
+    // The columns hold the first invoice; the update lists both
+    assert.equal(columnText(2, 'invoice_number'), 'FR 1/230');
+    assert.equal(columnText(2, 'total'), '38.2');
+    assert.deepEqual(statusLabels(2), ['Processing', 'Done']);
+    assert.equal(stub.items['2'].updates.length, 1);
+    assert.match(stub.items['2'].updates[0], /2 distinct invoices found/);
+  });
+
+  it('flags a duplicate of an invoice already on the board without writing its columns', async () => {
+    stub.addItem(3, {
+      boardId: BOARD_ID,
+      name: 'Original credit note',
+      columnValues: { atcud: { value: '"KLMN4567-4"', text: 'KLMN4567-4' } }
+    });
+    stub.addItem(4, {
+      boardId: BOARD_ID,
+      columnValues: { files: stub.fileColumnValue([{ name: 'credit-note-nc.jpg', url: stub.fileUrl('credit-note-nc.jpg') }]) }
+    });
+
+    const invoices = await pipeline.processItemExtraction('4', BOARD_ID);
+
+    assert.equal(invoices[0].totalValue, -61.5);
+    assert.equal(invoices[0].duplicateOf.id, '3');
+    assert.equal(invoices[0].duplicateOf.matchedOn, 'atcud');
+    assert.equal(columnText(4, 'total'), null);
+    assert.match(JSON.parse(stub.items['4'].columnValues.duplicate_of.value).url, /pulses\/3$/);
+    assert.deepEqual(statusLabels(4), ['Processing', 'Duplicate']);
+    assert.match(stub.items['4'].updates[0], /Possible duplicate invoice/);
+  });
+
+  it('reports an item without files as not found', async () => {
+    stub.addItem(5, { boardId: BOARD_ID });
+
+    const invoices = await pipeline.processItemExtraction('5', BOARD_ID);
+
+    assert.deepEqual(invoices, []);
+    assert.deepEqual(statusLabels(5), ['Processing', 'QR not found']);
+    assert.match(stub.items['5'].updates[0], /No files attached/);
+  });
+
+  it('fails with a not-found error for an item that does not exist', async () => {
+    await assert.rejects(pipeline.processItemExtraction('404', BOARD_ID), { name: 'MondayNotFoundError' });
+  });
+});
+
+describe('webhook to board', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = pipeline.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    jobQueue.start(pipeline.processJob);
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('queues a signed trigger event and writes the extracted invoice', async () => {
+    stub.addItem(6, {
+      boardId: BOARD_ID,
+      columnValues: { files: stub.fileColumnValue([{ name: 'ubl-invoice.xml', url: stub.fileUrl('ubl-invoice.xml') }]) }
+    });
+
+    const token = signToken({ iat: Math.floor(Date.now() / 1000) }, SIGNING_SECRET);
+    const response = await fetch(`${baseUrl}/api/monday-webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: token },
+      body: JSON.stringify({ event: { type: 'update_column_value', boardId: Number(BOARD_ID), pulseId: 6, columnId: 'button_extract' } })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).message, 'Added to processing queue');
+
+    const job = await waitForJob('6');
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(
+      { method: job.result.method, invoiceNumber: job.result.invoiceNumber, totalValue: job.result.totalValue },
+      { method: 'xml-ubl', invoiceNumber: 'FT 2025/901', totalValue: 282.9 }
+    );
+    assert.equal(columnText(6, 'supplier'), 'Oficina Nova, S.A.');
+    assert.deepEqual(statusLabels(6), ['Processing', 'Done']);
+  });
+
+  it('rejects an unsigned trigger event', async () => {
+    const response = await fetch(`${baseUrl}/api/monday-webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: { type: 'update_column_value', boardId: Number(BOARD_ID), pulseId: 7, columnId: 'button_extract' } })
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(jobQueue.list({ itemId: '7' }).length, 0);
+  });
+});
+
+// Poll the queue until the item's job has finished (completed or dead)
+async function waitForJob(itemId, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const [job] = jobQueue.list({ itemId });
+    if (job && ['completed', 'dead'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Job for item ${itemId} did not finish within ${timeoutMs}ms`);
+}
@@ -0,0 +1,59 @@
+require('./helpers/environment');
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const supplierRegistry = require('../src/services/supplierRegistry');
+
+describe('supplierRegistry.enrich', () => {
+  it('learns the name on the line above the issuer NIF of a text invoice', () => {
+    const result = supplierRegistry.enrich({
+      method: 'pdf-text',
+      issuerNIF: '514000007',
+      supplierName: 'FATURA',
+      text: 'FATURA\nMercearia do Bairro, Lda\nRua Nova 12\n4000-123 Porto\nNIF: 514 000 007\nFT 2025/12'
+    });
+
+    assert.equal(result.supplierName, 'Mercearia do Bairro, Lda');
+    assert.equal(supplierRegistry.get('514000007').source, 'learned-text');
+  });
+
+  it('learns a name printed before the NIF label on the same line', () => {
+    supplierRegistry.enrich({ method: 'ocr', issuerNIF: '514000104', text: 'Talho Silva - NIF 514000104\nTotal 12,30' });
+
+    assert.equal(supplierRegistry.get('514000104').name, 'Talho Silva');
+  });
+
+  it('does not learn generic headers next to the NIF label', () => {
+    supplierRegistry.enrich({ method: 'pdf-text', issuerNIF: '515000000', text: 'Página 1 de 2\nNIF: 515000000' });
+    supplierRegistry.enrich({ method: 'pdf-text', issuerNIF: '515000000', text: 'FATURA FT 2025/1\nNIF: 515000000' });
+    supplierRegistry.enrich({ method: 'pdf-text', issuerNIF: '515000000', supplierName: 'FATURA' });
+
+    assert.equal(supplierRegistry.get('515000000'), null);
+  });
+
+  it('replaces a text-learned name with the name of a structured e-invoice', () => {
+    supplierRegistry.enrich({ method: 'pdf-text', issuerNIF: '513000003', text: 'OFICINA VELHA\nNIF 513000003' });
+    assert.equal(supplierRegistry.get('513000003').source, 'learned-text');
+
+    supplierRegistry.enrich({ method: 'xml-ubl', issuerNIF: '513000003', supplierName: 'Oficina Velha, Lda' });
+    assert.equal(supplierRegistry.get('513000003').name, 'Oficina Velha, Lda');
+    assert.equal(supplierRegistry.get('513000003').source, 'learned');
+
+    const fromText = supplierRegistry.enrich({ method: 'pdf-text', issuerNIF: '513000003', text: 'OFICINA VELHA LDA\nNIF 513000003' });
+    assert.equal(fromText.supplierName, 'Oficina Velha, Lda');
+    assert.equal(supplierRegistry.get('513000003').source, 'learned');
+  });
+
+  it('keeps a structured name over a learned entry', () => {
+    const result = supplierRegistry.enrich({ method: 'xml-saft', issuerNIF: '513000003', supplierName: 'Oficina Velha, S.A.' });
+
+    assert.equal(result.supplierName, 'Oficina Velha, S.A.');
+    assert.equal(supplierRegistry.get('513000003').name, 'Oficina Velha, Lda');
+  });
+
+  it('applies manual entries over every source', () => {
+    const result = supplierRegistry.enrich({ method: 'xml-ubl', issuerNIF: '500000000', supplierName: 'EXEMPLO COMERCIO LDA' });
+
+    assert.equal(result.supplierName, 'Exemplo Comércio, Lda');
+  });
+});
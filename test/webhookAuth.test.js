@@ -0,0 +1,166 @@
+require('./helpers/environment');
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { signToken } = require('./helpers/webhookToken');
+
+const SECRET = 'webhook-auth-test-secret';
+process.env.MONDAY_SIGNING_SECRET = SECRET;
+
+const webhookAuth = require('../src/middleware/webhookAuth');
+
+const now = Date.UTC(2025, 5, 1, 12, 0, 0);
+const nowSeconds = Math.floor(now / 1000);
+
+describe('verifyToken', () => {
+  it('returns the payload of a valid token', () => {
+    const token = signToken({ iat: nowSeconds, shortLivedToken: 'abc' }, SECRET);
+    assert.deepEqual(webhookAuth.verifyToken(token, SECRET, now), { iat: nowSeconds, shortLivedToken: 'abc' });
+  });
+
+  it('accepts a "Bearer" prefix', () => {
+    const token = signToken({ exp: nowSeconds + 60 }, SECRET);
+    assert.equal(webhookAuth.verifyToken(`Bearer ${token}`, SECRET, now).exp, nowSeconds + 60);
+  });
+
+  it('accepts a token within the clock tolerance', () => {
+    const token = signToken({ exp: nowSeconds - 10 }, SECRET);
+    assert.doesNotThrow(() => webhookAuth.verifyToken(token, SECRET, now));
+  });
+
+  const rejections = [
+    ['a missing header', () => undefined, /missing Authorization header/],
+    ['a token without three parts', () => 'abc.def', /malformed token/],
+    ['a token whose parts are not JSON', () => 'abc.def.ghi', /malformed token/],
+    ['another algorithm', () => signToken({ iat: nowSeconds }, SECRET, { alg: 'none', typ: 'JWT' }), /unsupported algorithm none/],
+    ['a token signed with another secret', () => signToken({ iat: nowSeconds }, 'other-secret'), /invalid signature/],
+    ['a tampered payload', () => {
+      const [header, , signature] = signToken({ iat: nowSeconds }, SECRET).split('.');
+      const payload = Buffer.from(JSON.stringify({ iat: nowSeconds, admin: true })).toString('base64url');
+      return `${header}.${payload}.${signature}`;
+    }, /invalid signature/],
+    ['an expired token', () => signToken({ exp: nowSeconds - 120 }, SECRET), /token expired/],
+    ['a token issued too long ago', () => signToken({ iat: nowSeconds - webhookAuth.maxTokenAge - 60 }, SECRET), /token too old/],
+    ['a token without exp or iat', () => signToken({ sub: 'monday' }, SECRET), /token has no exp or iat/]
+  ];
+
+  for (const [label, token, message] of rejections) {
+    it(`rejects ${label}`, () => {
+      assert.throws(() => webhookAuth.verifyToken(token(), SECRET, now), { message });
+    });
+  }
+});
+
+describe('isIpAllowed', () => {
+  let allowlist;
+
+  beforeEach(() => {
+    allowlist = webhookAuth.ipAllowlist;
+    webhookAuth.ipAllowlist = ['203.0.113.10', '198.51.100.0/24'];
+  });
+
+  afterEach(() => {
+    webhookAuth.ipAllowlist = allowlist;
+  });
+
+  it('matches exact addresses and CIDR ranges', () => {
+    assert.equal(webhookAuth.isIpAllowed('203.0.113.10'), true);
+    assert.equal(webhookAuth.isIpAllowed('198.51.100.77'), true);
+    assert.equal(webhookAuth.isIpAllowed('198.51.101.1'), false);
+    assert.equal(webhookAuth.isIpAllowed('203.0.113.11'), false);
+  });
+
+  it('unwraps IPv4-mapped IPv6 addresses', () => {
+    assert.equal(webhookAuth.isIpAllowed('::ffff:198.51.100.1'), true);
+  });
+
+  it('rejects a missing or malformed address', () => {
+    assert.equal(webhookAuth.isIpAllowed(undefined), false);
+    assert.equal(webhookAuth.isIpAllowed('not-an-ip'), false);
+  });
+});
+
+describe('middleware', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      signingSecret: webhookAuth.signingSecret,
+      authDisabled: webhookAuth.authDisabled,
+      ipAllowlist: webhookAuth.ipAllowlist,
+      boardAllowlist: webhookAuth.boardAllowlist
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(webhookAuth, saved);
+  });
+
+  // Runs the middleware on a fake request; resolves to the status it answered with, or "next"
+  function run({ body = {}, authorization, ip = '127.0.0.1' } = {}) {
+    const req = { body, ip, headers: authorization ? { authorization } : {} };
+    let status = null;
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      json() {
+        return this;
+      }
+    };
+
+    let passed = false;
+    webhookAuth.middleware(req, res, () => { passed = true; });
+    return { result: passed ? 'next' : status, req };
+  }
+
+  const event = { type: 'update_column_value', boardId: 100, pulseId: 1 };
+
+  it('passes a signed event and exposes the token payload', () => {
+    const token = signToken({ iat: Math.floor(Date.now() / 1000) }, SECRET);
+    const { result, req } = run({ body: { event }, authorization: token });
+
+    assert.equal(result, 'next');
+    assert.equal(typeof req.webhookToken.iat, 'number');
+  });
+
+  it('answers 401 to an unsigned event', () => {
+    assert.equal(run({ body: { event } }).result, 401);
+  });
+
+  it('answers 503 to events when no signing secret is configured', () => {
+    webhookAuth.signingSecret = null;
+    const token = signToken({ iat: Math.floor(Date.now() / 1000) }, SECRET);
+
+    assert.equal(run({ body: { event } }).result, 503);
+    assert.equal(run({ body: { event }, authorization: token }).result, 503);
+    assert.equal(run({ body: { challenge: 'xyz' } }).result, 'next');
+  });
+
+  it('passes unsigned events only when checks are explicitly disabled', () => {
+    webhookAuth.signingSecret = null;
+    webhookAuth.authDisabled = true;
+
+    assert.equal(run({ body: { event } }).result, 'next');
+  });
+
+  it('lets the challenge handshake through without a token', () => {
+    assert.equal(run({ body: { challenge: 'xyz' } }).result, 'next');
+  });
+
+  it('answers 403 to an event from a board outside the allowlist', () => {
+    webhookAuth.boardAllowlist = ['200'];
+    const token = signToken({ iat: Math.floor(Date.now() / 1000) }, SECRET);
+
+    assert.equal(run({ body: { event }, authorization: token }).result, 403);
+    assert.equal(run({ body: { event: { ...event, boardId: 200 } }, authorization: token }).result, 'next');
+  });
+
+  it('answers 403 to a client outside the IP allowlist before checking the token', () => {
+    webhookAuth.ipAllowlist = ['203.0.113.10'];
+
+    assert.equal(run({ body: { challenge: 'xyz' }, ip: '::ffff:192.0.2.1' }).result, 403);
+    assert.equal(run({ body: { challenge: 'xyz' }, ip: '::ffff:203.0.113.10' }).result, 'next');
+  });
+});